@@ -8,23 +8,32 @@ import type {
   Validate,
   TypeOf,
   Predicate,
-  Props
+  Props,
+  Brand
 } from './src/index'
 
 import {
   Type,
   LiteralType,
+  KeyofType,
   InstanceOfType,
   ClassType,
   ArrayType,
   UnionType,
+  TaggedUnionType,
   TupleType,
   IntersectionType,
   MaybeType,
+  OptionalType,
+  DefaultType,
+  ReadonlyType,
+  ReadonlyArrayType,
   MappingType,
   RefinementType,
+  BrandType,
   $ExactType,
   ObjectType,
+  StripType,
 } from './src/index'
 
 import * as t from './src/index'
@@ -47,6 +56,11 @@ t.map(v1 => {
 const RTI1 = t.number
 ;(RTI1.name: string)
 
+// serialization
+;(t.serialize(1, T1): mixed)
+// $ExpectError
+t.serialize('a', T1)
+
 //
 // instanceOf
 //
@@ -128,6 +142,67 @@ const RTI5 = t.union([t.string, t.object({ a: t.number })])
 ;(RTI5.types[0]: Type<string>)
 ;(RTI5.types[1]: Type<{ a: number }>)
 
+// more than four members
+const T5c = t.union([t.string, t.number, t.boolean, t.null, t.literal('a'), t.object({ a: t.number })])
+t.map(v5c => {
+  (v5c: string | number | boolean | null | 'a' | { a: number })
+  ;(v5c: TypeOf<typeof T5c>)
+  // $ExpectError
+  ;(v5c: string | number | boolean | null)
+}, t.validate(1, T5c))
+;(null: TypeOf<typeof T5c>)
+// $ExpectError
+;(undefined: TypeOf<typeof T5c>)
+
+// more than twelve members must be nested
+const T5e1 = t.union([t.literal('a'), t.literal('b'), t.literal('c'), t.literal('d'), t.literal('e'), t.literal('f'), t.literal('g')])
+const T5e2 = t.union([t.literal('h'), t.literal('i'), t.literal('j'), t.literal('k'), t.literal('l'), t.literal('m')])
+const T5e = t.union([T5e1, T5e2])
+;('m': TypeOf<typeof T5e>)
+// $ExpectError
+;(1: TypeOf<typeof T5e>)
+// $ExpectError
+t.union([t.literal('a'), t.literal('b'), t.literal('c'), t.literal('d'), t.literal('e'), t.literal('f'), t.literal('g'), t.literal('h'), t.literal('i'), t.literal('j'), t.literal('k'), t.literal('l'), t.literal('m')])
+
+//
+// tagged unions
+//
+
+const T5A = t.object({ type: t.literal('a'), a: t.number })
+const T5B = t.object({ type: t.literal('b'), b: t.string })
+const T5b = t.taggedUnion('type', [T5A, T5B])
+t.map(v5b => {
+  (v5b: { type: 'a', a: number } | { type: 'b', b: string })
+  ;(v5b: TypeOf<typeof T5b>)
+  // $ExpectError
+  ;(v5b: { type: 'a', a: number })
+}, t.validate({ type: 'a', a: 1 }, T5b))
+// $ExpectError
+;(1: TypeOf<typeof T5b>)
+
+// runtime type introspection
+const RTI5b = t.taggedUnion('type', [T5A, T5B])
+;(RTI5b.name: string)
+;(RTI5b.tagKey: string)
+;(RTI5b.tags.a: Type<any>)
+;(RTI5b: TaggedUnionType<*>)
+
+// more than four members
+const T5C = t.object({ type: t.literal('c'), c: t.boolean })
+const T5D = t.object({ type: t.literal('d'), d: t.null })
+const T5E = t.object({ type: t.literal('e'), e: t.number })
+const T5F = t.object({ type: t.literal('f'), f: t.string })
+const T5d = t.taggedUnion('type', [T5A, T5B, T5C, T5D, T5E, T5F])
+t.map(v5d => {
+  (v5d: TypeOf<typeof T5A> | TypeOf<typeof T5B> | TypeOf<typeof T5C> | TypeOf<typeof T5D> | TypeOf<typeof T5E> | TypeOf<typeof T5F>)
+  ;(v5d: TypeOf<typeof T5d>)
+  // $ExpectError
+  ;(v5d: TypeOf<typeof T5A> | TypeOf<typeof T5B> | TypeOf<typeof T5C> | TypeOf<typeof T5D>)
+}, t.validate({ type: 'f', f: 's' }, T5d))
+;({ type: 'e', e: 1 }: TypeOf<typeof T5d>)
+// $ExpectError
+;({ type: 'e', e: 's' }: TypeOf<typeof T5d>)
+
 //
 // tuples
 //
@@ -148,6 +223,32 @@ const RTI6 = t.tuple([t.string, t.object({ a: t.number })])
 ;(RTI6.types[0]: Type<string>)
 ;(RTI6.types[1]: Type<{ a: number }>)
 
+// more than four members
+const T6b = t.tuple([t.string, t.number, t.boolean, t.null, t.literal('a'), t.object({ a: t.number })])
+t.map(v6b => {
+  (v6b: [string, number, boolean, null, 'a', { a: number }])
+  ;(v6b: TypeOf<typeof T6b>)
+  ;(v6b[4]: 'a')
+  // $ExpectError
+  ;(v6b[3]: boolean)
+}, t.validate(['a', 1, true, null, 'a', { a: 1 }], T6b))
+// $ExpectError
+;(['a', 's', true, null, 'a', { a: 1 }]: TypeOf<typeof T6b>)
+
+// any number of members
+const T6c = t.tuple([t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.string, t.number])
+t.map(v6c => {
+  (v6c[12]: number)
+  // $ExpectError
+  ;(v6c[12]: string)
+}, t.validate(['a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 1], T6c))
+
+// only arrays of types are accepted
+// $ExpectError
+t.tuple('foo')
+// $ExpectError
+t.tuple([1, 2])
+
 //
 // intersections
 //
@@ -176,6 +277,48 @@ const RTI7 = t.intersection([t.object({ a: t.number }), t.object({ b: t.number }
 ;(RTI7.types[0]: Type<{ a: number }>)
 ;(RTI7.types[1]: Type<{ b: number }>)
 
+// more than four members
+const T7b = t.intersection([
+  t.object({ a: t.number }),
+  t.object({ b: t.string }),
+  t.object({ c: t.boolean }),
+  t.object({ d: t.null }),
+  t.object({ e: t.number }),
+  t.object({ f: t.string })
+])
+t.map(v7b => {
+  (v7b: TypeOf<typeof T7b>)
+  ;(v7b: { a: number })
+  ;(v7b: { d: null })
+  ;(v7b: { f: string })
+  // $ExpectError
+  ;(v7b: { f: number })
+}, t.validate({ a: 1, b: 's', c: true, d: null, e: 2, f: 's' }, T7b))
+// $ExpectError
+;({ a: 1, b: 's', c: true, d: null, e: 2 }: TypeOf<typeof T7b>)
+
+// up to twelve members
+const T7c = t.intersection([
+  t.object({ a: t.number }),
+  t.object({ b: t.number }),
+  t.object({ c: t.number }),
+  t.object({ d: t.number }),
+  t.object({ e: t.number }),
+  t.object({ f: t.number }),
+  t.object({ g: t.number }),
+  t.object({ h: t.number }),
+  t.object({ i: t.number }),
+  t.object({ j: t.number }),
+  t.object({ k: t.number }),
+  t.object({ l: t.string })
+])
+t.map(v7c => {
+  (v7c: { a: number })
+  ;(v7c: { l: string })
+  // $ExpectError
+  ;(v7c: { l: number })
+}, t.validate({}, T7c))
+
 //
 // maybes
 //
@@ -237,6 +380,97 @@ const RTI10 = t.refinement(t.object({ a: t.number }), () => true)
 ;(RTI10.name: string)
 ;(RTI10.type: Type<{ a: number }>)
 
+//
+// keyof
+//
+
+const T22 = t.keyof({ a: null, b: null })
+t.map(v22 => {
+  (v22: 'a' | 'b')
+  ;(v22: TypeOf<typeof T22>)
+  // $ExpectError
+  ;(v22: 'a')
+}, t.validate('a', T22))
+// $ExpectError
+;('c': TypeOf<typeof T22>)
+
+const T23: KeyofType<'red' | 'green'> = t.enums(['red', 'green'])
+t.map(v23 => {
+  (v23: 'red' | 'green')
+  // $ExpectError
+  ;(v23: number)
+}, t.validate('red', T23))
+// $ExpectError
+;('blue': TypeOf<typeof T23>)
+
+// runtime type introspection
+;(T22.name: string)
+;(T22.keys: { [key: string]: mixed })
+;(T22.values: Array<'a' | 'b'>)
+
+//
+// brands
+//
+
+type Email = Brand<string, 'Email'>;
+const T21: BrandType<Email> = t.brand(t.string, s => s.indexOf('@') !== -1, 'Email')
+t.map(v21 => {
+  (v21: Email)
+  ;(v21: string)
+  ;(v21: TypeOf<typeof T21>)
+  // $ExpectError
+  ;(v21: number)
+}, t.validate('a@b.com', T21))
+// $ExpectError
+;('a@b.com': Email)
+// $ExpectError
+;('a@b.com': TypeOf<typeof T21>)
+
+// runtime type introspection
+;(T21.name: string)
+;(T21.brandName: string)
+;(T21.type: Type<string>)
+;(T21: RefinementType<Email>)
+
+//
+// readonly
+//
+
+const T24 = t.readonly(t.object({ a: t.number, b: t.readonlyArray(t.string) }), { freeze: true })
+t.map(v24 => {
+  (v24: $ReadOnly<{ a: number, b: $ReadOnlyArray<string> }>)
+  ;(v24: TypeOf<typeof T24>)
+  ;(v24.a: number)
+  ;(v24.b[0]: string)
+  // $ExpectError
+  v24.a = 2
+  // $ExpectError
+  v24.b.push('c')
+  // $ExpectError
+  ;(v24: { a: number, b: Array<string> })
+}, t.validate({ a: 1, b: ['s'] }, T24))
+// $ExpectError
+;({ a: 's', b: [] }: TypeOf<typeof T24>)
+
+const T24b = t.readonlyArray(t.number)
+t.map(v24b => {
+  (v24b: $ReadOnlyArray<number>)
+  ;(v24b: TypeOf<typeof T24b>)
+  // $ExpectError
+  ;(v24b: Array<number>)
+  // $ExpectError
+  v24b[0] = 1
+}, t.validate([1], T24b))
+
+// runtime type introspection
+const RTI24 = t.readonly(t.mapping(t.string, t.number))
+;(RTI24.name: string)
+;(RTI24.freeze: boolean)
+;(RTI24.type: Type<any>)
+;(RTI24: ReadonlyType<$ReadOnly<{ [key: string]: number }>>)
+;(T24b.type: Type<any>)
+;(T24b: ReadonlyArrayType<$ReadOnlyArray<number>>)
+
 //
 // recursive types
 //
@@ -330,6 +564,108 @@ const RTI15 = t.object({
 ;(RTI15.name: string)
 ;(RTI15.props: Props)
 
+//
+// optional props
+//
+
+const T17 = t.object({ a: t.number, b: t.optional(t.string) })
+t.map(v17 => {
+  (v17.a: number)
+  ;(v17.b: string | void)
+  // $ExpectError
+  ;(v17.b: string)
+}, t.validate({ a: 1 }, T17))
+
+// runtime type introspection
+const RTI17 = t.optional(t.string)
+;(RTI17.name: string)
+;(RTI17.type: Type<string>)
+;(RTI17: OptionalType<string | void>)
+
+// a static type with optional keys is stated and checked
+type T17bT = { a: number, b?: string };
+const T17b: Type<T17bT> = t.withStaticType(t.object({ a: t.number, b: t.optional(t.string) }))
+;({ a: 1 }: TypeOf<typeof T17b>)
+// $ExpectError
+;({ a: 1, b: 1 }: TypeOf<typeof T17b>)
+t.serialize({ a: 1 }, T17b)
+// $ExpectError
+const T17c: Type<T17bT> = t.withStaticType(t.object({ a: t.optional(t.number), b: t.optional(t.string) }))
+// $ExpectError
+const T17d: Type<T17bT> = t.withStaticType(t.object({ a: t.number, b: t.string }))
+// $ExpectError
+const T17e: Type<T17bT> = t.withStaticType(t.object({ a: t.number, b: t.optional(t.number) }))
+// $ExpectError
+const T17f: Type<T17bT> = t.withStaticType(t.object({ b: t.optional(t.string) }))
+const T17g: Type<$Exact<T17bT>> = t.withStaticType(t.$exact({ a: t.number, b: t.optional(t.string) }))
+;({ a: 1 }: TypeOf<typeof T17g>)
+// $ExpectError
+;({ a: 1, c: 1 }: TypeOf<typeof T17g>)
+
+//
+// partials
+//
+
+type T18T = {
+  a: number,
+  b: string
+};
+const T18 = t.partial({ a: t.number, b: t.string })
+t.map(v18 => {
+  (v18: $Shape<T18T>)
+  ;(v18: TypeOf<typeof T18>)
+  // $ExpectError
+  ;(v18.b: number)
+}, t.validate({}, T18))
+;({}: TypeOf<typeof T18>)
+;({ a: 1 }: TypeOf<typeof T18>)
+// $ExpectError
+;({ a: 's' }: TypeOf<typeof T18>)
+
+// runtime type introspection
+const RTI18 = t.partial({ a: t.number })
+;(RTI18.name: string)
+;(RTI18.props: Props)
+
+//
+// defaults
+//
+
+const T19 = t.object({ a: t.withDefault(t.number, 0), b: t.withDefault(t.array(t.string), () => []) })
+t.map(v19 => {
+  (v19: { a: number, b: Array<string> })
+  ;(v19: TypeOf<typeof T19>)
+  // $ExpectError
+  ;(v19.a: string)
+}, t.validate({}, T19))
+// $ExpectError
+t.withDefault(t.number, 's')
+
+// runtime type introspection
+const RTI19 = t.withDefault(t.number, 0)
+;(RTI19.name: string)
+;(RTI19.type: Type<number>)
+;(t.getDefaultValue(RTI19): number)
+;(RTI19: DefaultType<number>)
+
+//
+// strip
+//
+
+const T20 = t.strip({ a: t.number, b: t.object({ c: t.string }) })
+t.map(v20 => {
+  (v20: { a: number, b: { c: string } })
+  ;(v20: TypeOf<typeof T20>)
+  // $ExpectError
+  ;(v20.a: string)
+}, t.validate({}, T20))
+
+// runtime type introspection
+const RTI20 = t.strip({ a: t.number })
+;(RTI20.name: string)
+;(RTI20.props: Props)
+;(RTI20: StripType<{ a: number }>)
+
 //
 // classOf
 //
@@ -0,0 +1,262 @@
+// @flow
+import type { Type, Props } from './index'
+import * as t from './index'
+import {
+  LiteralType,
+  KeyofType,
+  ArrayType,
+  UnionType,
+  TupleType,
+  IntersectionType,
+  MaybeType,
+  OptionalType,
+  DefaultType,
+  ReadonlyType,
+  ReadonlyArrayType,
+  MappingType,
+  RefinementType,
+  RecursiveType,
+  $ExactType,
+  ObjectType
+} from './index'
+
+// returns a number in [0, 1)
+export type Random = () => number;
+
+export type Generate<T> = (random: Random) => T;
+
+export type Options = {
+  random?: Random,
+  // max number of nested recursive types
+  maxDepth?: number,
+  // max length of arrays, strings and mappings
+  maxLength?: number,
+  // max number of attempts to satisfy a refinement
+  maxRetries?: number,
+  // user-supplied generators, e.g. for refinements and custom types
+  custom?: (type: Type<any>) => ?Generate<any>
+};
+
+type Env = {
+  random: Random,
+  maxDepth: number,
+  maxLength: number,
+  maxRetries: number,
+  custom: (type: Type<any>) => ?Generate<any>
+};
+
+// thrown when a recursive type is entered past the max depth
+class DepthError {}
+
+// mulberry32
+export function seed(s: number): Random {
+  return () => {
+    s = s + 0x6D2B79F5 | 0
+    let x = Math.imul(s ^ s >>> 15, 1 | s)
+    x = x + Math.imul(x ^ x >>> 7, 61 | x) ^ x
+    return ((x ^ x >>> 14) >>> 0) / 4294967296
+  }
+}
+
+const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 '
+
+const primitive = t.union([t.string, t.number, t.boolean, t.null])
+
+function integer(env: Env, min: number, max: number): number {
+  return min + Math.floor(env.random() * (max - min + 1))
+}
+
+function bool(env: Env): boolean {
+  return env.random() < 0.5
+}
+
+function length(env: Env, depth: number): number {
+  return depth >= env.maxDepth ? 0 : integer(env, 0, env.maxLength)
+}
+
+function string(env: Env): string {
+  let s = ''
+  for (let i = 0, len = integer(env, 0, env.maxLength); i < len; i++) {
+    s += chars.charAt(integer(env, 0, chars.length - 1))
+  }
+  return s
+}
+
+function number(env: Env): number {
+  const n = (env.random() * 2 - 1) * 1000
+  return bool(env) ? Math.round(n) : n
+}
+
+function shuffle<A>(env: Env, as: Array<A>): Array<A> {
+  const bs = as.slice()
+  for (let i = bs.length - 1; i > 0; i--) {
+    const j = integer(env, 0, i)
+    const b = bs[i]
+    bs[i] = bs[j]
+    bs[j] = b
+  }
+  return bs
+}
+
+function generateProps(env: Env, props: Props, depth: number): Object {
+  const o = {}
+  for (let k in props) {
+    const type = props[k]
+    // optional props are omitted at random
+    if (!(type instanceof OptionalType) || (depth < env.maxDepth && bool(env))) {
+      o[k] = generateValue(env, type, depth)
+    }
+  }
+  return o
+}
+
+function generateRefinement(env: Env, type: RefinementType<any>, depth: number): mixed {
+  for (let i = 0; i < env.maxRetries; i++) {
+    const value = generateValue(env, type.type, depth)
+    if (type.predicate(value)) {
+      return value
+    }
+  }
+  throw new Error(`Cannot generate a value for ${type.name} after ${env.maxRetries} retries, provide a custom generator`)
+}
+
+function generateIntersection(env: Env, type: IntersectionType<any>, depth: number): mixed {
+  for (let i = 0; i < env.maxRetries; i++) {
+    const values = type.types.map(type => generateValue(env, type, depth))
+    const value = values.every(value => value !== null && typeof value === 'object' && !Array.isArray(value)) ?
+      Object.assign({}, ...values) :
+      values[0]
+    if (t.is(value, type)) {
+      return value
+    }
+  }
+  throw new Error(`Cannot generate a value for ${type.name} after ${env.maxRetries} retries, provide a custom generator`)
+}
+
+function generateUnion(env: Env, type: UnionType<any>, depth: number): mixed {
+  if (depth < env.maxDepth) {
+    return generateValue(env, type.types[integer(env, 0, type.types.length - 1)], depth)
+  }
+  // at the max depth the members which don't recurse are picked
+  const types = shuffle(env, type.types)
+  for (let i = 0, len = types.length; i < len; i++) {
+    try {
+      return generateValue(env, types[i], depth)
+    }
+    catch (e) {
+      if (!(e instanceof DepthError)) {
+        throw e
+      }
+    }
+  }
+  throw new DepthError()
+}
+
+function generateValue(env: Env, type: Type<any>, depth: number): any {
+  const custom = env.custom(type)
+  if (custom) {
+    return custom(env.random)
+  }
+  switch (type) {
+    case t.any :
+      return generateValue(env, primitive, depth)
+    case t.string :
+      return string(env)
+    case t.number :
+      return number(env)
+    case t.boolean :
+      return bool(env)
+    case t.null :
+      return null
+    case t.void :
+      return undefined
+    case t.nil :
+      return bool(env) ? null : undefined
+    case t.Object :
+      return {}
+    case t.Function :
+      return () => {}
+  }
+  if (type instanceof LiteralType) {
+    return type.value
+  }
+  if (type instanceof KeyofType && type.values.length) {
+    return type.values[integer(env, 0, type.values.length - 1)]
+  }
+  if (type instanceof ObjectType || type instanceof $ExactType) {
+    return generateProps(env, type.props, depth)
+  }
+  if (type instanceof ArrayType || type instanceof ReadonlyArrayType) {
+    const as = []
+    for (let i = 0, len = length(env, depth); i < len; i++) {
+      as.push(generateValue(env, type.type, depth))
+    }
+    return as
+  }
+  if (type instanceof TupleType) {
+    return type.types.map(type => generateValue(env, type, depth))
+  }
+  if (type instanceof UnionType) {
+    return generateUnion(env, type, depth)
+  }
+  if (type instanceof IntersectionType) {
+    return generateIntersection(env, type, depth)
+  }
+  if (type instanceof MaybeType) {
+    return depth >= env.maxDepth || bool(env) ? null : generateValue(env, type.type, depth)
+  }
+  if (type instanceof OptionalType) {
+    return depth >= env.maxDepth || bool(env) ? undefined : generateValue(env, type.type, depth)
+  }
+  if (type instanceof DefaultType || type instanceof ReadonlyType) {
+    return generateValue(env, type.type, depth)
+  }
+  if (type instanceof MappingType) {
+    const o = {}
+    for (let i = 0, len = length(env, depth); i < len; i++) {
+      o[generateValue(env, type.domain, depth)] = generateValue(env, type.codomain, depth)
+    }
+    return o
+  }
+  if (type instanceof RefinementType) {
+    return generateRefinement(env, type, depth)
+  }
+  if (type instanceof RecursiveType) {
+    if (depth >= env.maxDepth) {
+      throw new DepthError()
+    }
+    return generateValue(env, type.type, depth + 1)
+  }
+  throw new Error(`Cannot generate a value for ${type.name}, provide a custom generator`)
+}
+
+function getEnv(options: Options): Env {
+  return {
+    random: options.random || Math.random,
+    maxDepth: typeof options.maxDepth === 'number' ? options.maxDepth : 3,
+    maxLength: typeof options.maxLength === 'number' ? options.maxLength : 5,
+    maxRetries: typeof options.maxRetries === 'number' ? options.maxRetries : 100,
+    custom: options.custom || (() => null)
+  }
+}
+
+// returns a random value of type T, use `serialize` in order to get its wire format
+export function generate<T>(type: Type<T>, options?: Options = {}): T {
+  try {
+    return generateValue(getEnv(options), type, 0)
+  }
+  catch (e) {
+    if (e instanceof DepthError) {
+      throw new Error(`Cannot generate a value for ${type.name} within ${getEnv(options).maxDepth} nested recursive types`)
+    }
+    throw e
+  }
+}
+
+export function sample<T>(type: Type<T>, n: number, options?: Options = {}): Array<T> {
+  const as = []
+  for (let i = 0; i < n; i++) {
+    as.push(generate(type, options))
+  }
+  return as
+}
@@ -0,0 +1,126 @@
+// @flow
+import type { Validate, Serialize, Is } from './index'
+import * as t from './index'
+import { Type } from './index'
+
+// types parsing the strings of query strings, environment variables and form data
+
+const decimal = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+
+// leading and trailing spaces, hexadecimals, '', 'Infinity' and 'NaN' are rejected
+export const NumberFromString: Type<number> = new Type(
+  'NumberFromString',
+  (v, c) => t.chain(s => {
+    const n = Number(s)
+    return decimal.test(s) && isFinite(n) ? t.success(n) : t.failure(s, c)
+  }, t.string.validate(v, c)),
+  n => String(n),
+  t.number.is
+)
+
+export const IntegerFromString: Type<number> = new Type(
+  'IntegerFromString',
+  (v, c) => t.chain(n => n % 1 === 0 ? t.success(n) : t.failure(v, c), NumberFromString.validate(v, c)),
+  n => String(n),
+  v => t.number.is(v) && Number(v) % 1 === 0
+)
+
+export const BooleanFromString: Type<boolean> = new Type(
+  'BooleanFromString',
+  (v, c) => t.chain(s => {
+    if (s === 'true') {
+      return t.success(true)
+    }
+    return s === 'false' ? t.success(false) : t.failure(s, c)
+  }, t.string.validate(v, c)),
+  b => String(b),
+  t.boolean.is
+)
+
+const isoDate = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/
+
+// Date rolls the impossible days over to the next month (e.g. 2020-02-30 to 2020-03-01)
+function isCalendarDate(year: number, month: number, day: number): boolean {
+  const d = new Date(Date.UTC(year, month - 1, day))
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day
+}
+
+// a date without a time is in UTC, a time without an offset is in local time
+export const DateFromISOString: Type<Date> = new Type(
+  'DateFromISOString',
+  (v, c) => t.chain(s => {
+    const match = isoDate.exec(s)
+    const d = new Date(s)
+    return match && isCalendarDate(Number(match[1]), Number(match[2]), Number(match[3])) && !isNaN(d.getTime()) ? t.success(d) : t.failure(s, c)
+  }, t.string.validate(v, c)),
+  d => d.toISOString(),
+  v => v instanceof Date && !isNaN(v.getTime())
+)
+
+export class ArrayFromCommaListType<T> extends Type<T> {
+  type: Type<any>;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>) {
+    super(name, validate, serialize, is)
+    this.type = type
+  }
+}
+
+// the items are trimmed, an empty string is an empty list
+export function arrayFromCommaList<T>(type: Type<T>, name?: string): ArrayFromCommaListType<Array<T>> {
+  return new ArrayFromCommaListType(
+    name || `ArrayFromCommaList<${t.getTypeName(type)}>`,
+    (v, c) => t.chain(s => {
+      const items = s.trim() === '' ? [] : s.split(',').map(item => item.trim())
+      const as = []
+      const errors = []
+      for (let i = 0, len = items.length; i < len; i++) {
+        const validation = t.validateAt(items[i], c, String(i), type)
+        if (t.isFailure(validation)) {
+          Array.prototype.push.apply(errors, t.fromFailure(validation))
+          if (t.isAborted()) {
+            break
+          }
+        }
+        else {
+          as.push(t.fromSuccess(validation))
+        }
+      }
+      return errors.length ? t.failures(errors) : t.success(as)
+    }, t.string.validate(v, c)),
+    as => as.map(a => String(type.serialize(a))).join(','),
+    v => Array.isArray(v) && v.every(type.is),
+    type
+  )
+}
+
+export const ArrayFromCommaList: ArrayFromCommaListType<Array<string>> = arrayFromCommaList(t.string, 'ArrayFromCommaList')
+
+export class JSONFromStringType<T> extends Type<T> {
+  type: Type<any>;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>) {
+    super(name, validate, serialize, is)
+    this.type = type
+  }
+}
+
+// the parsed value is validated by type
+export function jsonFromString<T>(type: Type<T>, name?: string): JSONFromStringType<T> {
+  return new JSONFromStringType(
+    name || `JSONFromString<${t.getTypeName(type)}>`,
+    (v, c) => t.chain(s => {
+      let json
+      try {
+        json = JSON.parse(s)
+      }
+      catch (e) {
+        return t.failure(s, c)
+      }
+      return type.validate(json, c)
+    }, t.string.validate(v, c)),
+    a => JSON.stringify(type.serialize(a)),
+    type.is,
+    type
+  )
+}
+
+export const JSONFromString: JSONFromStringType<mixed> = jsonFromString(t.any, 'JSONFromString')
@@ -0,0 +1,266 @@
+// @flow
+import type { Context, ErrorDescription, Is, Validate, ValidationError } from './index'
+import * as t from './index'
+import {
+  Type,
+  LiteralType,
+  KeyofType,
+  ArrayType,
+  TupleType,
+  MaybeType,
+  OptionalType,
+  DefaultType,
+  RefinementType,
+  $ExactType,
+  ObjectType
+} from './index'
+
+export class CompiledType<T> extends Type<T> {
+  // the source type
+  type: Type<T>;
+  constructor(name: string, validate: Validate<T>, serialize: $PropertyType<Type<T>, 'serialize'>, is: Is, type: Type<T>) {
+    super(name, validate, serialize, is)
+    this.type = type
+  }
+}
+
+// the context entries relative to the root, a key is a JavaScript expression
+type Path = Array<{ key: string, type: number }>;
+
+type Compiler = {
+  // the values referenced by the generated code
+  refs: Array<mixed>,
+  count: number
+};
+
+function fail(errors: Array<ValidationError>, value: mixed, context: Context, description?: ?ErrorDescription): void {
+  // failures are created through the API in order to count them
+  Array.prototype.push.apply(errors, t.fromFailure(t.failure(value, context, description)))
+}
+
+const helpers = {
+  fail,
+  isAborted: t.isAborted,
+  isFailure: t.isFailure,
+  fromFailure: t.fromFailure,
+  fromSuccess: t.fromSuccess,
+  getDefaultValue: t.getDefaultValue,
+  detachContext: t.detachContext
+}
+
+function ref(compiler: Compiler, x: mixed): number {
+  const i = compiler.refs.indexOf(x)
+  return i === -1 ? compiler.refs.push(x) - 1 : i
+}
+
+function fresh(compiler: Compiler): number {
+  return ++compiler.count
+}
+
+function getEntries(path: Path): string {
+  return path.map(e => `{ key: ${e.key}, type: R[${e.type}] }`).join(', ')
+}
+
+// the context is built only when it's needed, i.e. on failures
+function getContext(path: Path): string {
+  return path.length ? `c.concat([${getEntries(path)}])` : 'c'
+}
+
+function getFailure(value: string, path: Path, description?: string): string {
+  return `h.fail(errors, ${value}, ${getContext(path)}${description ? `, ${description}` : ''})`
+}
+
+function getCheck(type: Type<any>, v: string, compiler: Compiler): ?string {
+  switch (type) {
+    case t.any :
+      return 'true'
+    case t.string :
+      return `typeof ${v} === 'string'`
+    case t.number :
+      return `typeof ${v} === 'number' && isFinite(${v}) && !isNaN(${v})`
+    case t.boolean :
+      return `typeof ${v} === 'boolean'`
+    case t.null :
+      return `${v} === null`
+    case t.void :
+      return `${v} === void 0`
+    case t.nil :
+      return `(${v} === void 0 || ${v} === null)`
+    case t.Object :
+      return `${v} !== void 0 && ${v} !== null && typeof ${v} === 'object' && !Array.isArray(${v})`
+    case t.Function :
+      return `typeof ${v} === 'function'`
+  }
+  if (type instanceof LiteralType) {
+    return `${v} === R[${ref(compiler, type)}].value`
+  }
+  if (type instanceof KeyofType) {
+    return `typeof ${v} === 'string' && Object.prototype.hasOwnProperty.call(R[${ref(compiler, type)}].keys, ${v})`
+  }
+}
+
+function getChild(compiler: Compiler, type: Type<any>, v: string, path: Path, key: string): { code: string, r: string } {
+  return gen(compiler, type, v, path.concat({ key, type: ref(compiler, type) }))
+}
+
+function genProps(compiler: Compiler, type: ObjectType<any> | $ExactType<any>, v: string, r: string, path: Path): string {
+  const props = type.props
+  const n = fresh(compiler)
+  const lines = [`let t${n} = null`, `const e${n} = errors.length`, `b${n}: {`]
+  for (let k in props) {
+    const key = JSON.stringify(k)
+    const vk = `v${fresh(compiler)}`
+    const ek = `e${fresh(compiler)}`
+    const child = getChild(compiler, props[k], vk, path, key)
+    lines.push(
+      `const ${vk} = ${v}[${key}]`,
+      `const ${ek} = errors.length`,
+      child.code,
+      `if (errors.length === ${ek}) {`,
+      `if (${child.r} !== ${vk}) {`,
+      `if (t${n} === null) { t${n} = Object.assign({}, ${v}) }`,
+      `t${n}[${key}] = ${child.r}`,
+      '}',
+      '}',
+      `else if (h.isAborted()) { break b${n} }`
+    )
+  }
+  lines.push('}')
+  if (type instanceof $ExactType) {
+    const nil = ref(compiler, t.nil)
+    const propsRef = ref(compiler, props)
+    lines.push(
+      `if (errors.length === e${n}) {`,
+      `for (let k in ${v}) {`,
+      `if (!R[${propsRef}].hasOwnProperty(k)) {`,
+      getFailure(`${v}[k]`, path.concat({ key: 'k', type: nil })),
+      'if (h.isAborted()) { break }',
+      '}',
+      '}',
+      '}'
+    )
+  }
+  lines.push(`${r} = t${n} === null ? ${v} : t${n}`)
+  return `if (!(${getCheck(t.Object, v, compiler) || ''})) { ${getFailure(v, path)} } else {\n${lines.join('\n')}\n}`
+}
+
+function genArray(compiler: Compiler, type: ArrayType<any>, v: string, r: string, path: Path): string {
+  const n = fresh(compiler)
+  const i = `i${n}`
+  const vi = `v${fresh(compiler)}`
+  const ei = `e${fresh(compiler)}`
+  const child = getChild(compiler, type.type, vi, path, `String(${i})`)
+  return [
+    `if (!Array.isArray(${v})) { ${getFailure(v, path)} } else {`,
+    `let t${n} = null`,
+    `for (let ${i} = 0, len = ${v}.length; ${i} < len; ${i}++) {`,
+    `const ${vi} = ${v}[${i}]`,
+    `const ${ei} = errors.length`,
+    child.code,
+    `if (errors.length === ${ei}) {`,
+    `if (t${n} !== null) { t${n}.push(${child.r}) }`,
+    `else if (${child.r} !== ${vi}) { t${n} = ${v}.slice(0, ${i}); t${n}.push(${child.r}) }`,
+    '}',
+    'else if (h.isAborted()) { break }',
+    '}',
+    `${r} = t${n} === null ? ${v} : t${n}`,
+    '}'
+  ].join('\n')
+}
+
+function genTuple(compiler: Compiler, type: TupleType<any>, v: string, r: string, path: Path): string {
+  const n = fresh(compiler)
+  const lines = [`let t${n} = null`, `b${n}: {`]
+  type.types.forEach((member, i) => {
+    const vi = `v${fresh(compiler)}`
+    const ei = `e${fresh(compiler)}`
+    const child = getChild(compiler, member, vi, path, JSON.stringify(String(i)))
+    lines.push(
+      `const ${vi} = ${v}[${i}]`,
+      `const ${ei} = errors.length`,
+      child.code,
+      `if (errors.length === ${ei}) {`,
+      `if (t${n} !== null) { t${n}.push(${child.r}) }`,
+      `else if (${child.r} !== ${vi}) { t${n} = ${v}.slice(0, ${i}); t${n}.push(${child.r}) }`,
+      '}',
+      `else if (h.isAborted()) { break b${n} }`
+    )
+  })
+  lines.push('}', `${r} = t${n} === null ? ${v} : t${n}`)
+  return `if (!Array.isArray(${v})) { ${getFailure(v, path)} } else {\n${lines.join('\n')}\n}`
+}
+
+// emits the code validating the value held by v, the validated value is assigned to the returned r
+function gen(compiler: Compiler, type: Type<any>, v: string, path: Path): { code: string, r: string } {
+  const r = `r${fresh(compiler)}`
+  const declaration = `let ${r}`
+  const check = getCheck(type, v, compiler)
+  if (check) {
+    // a literal returns its own value
+    const value = type instanceof LiteralType ? `R[${ref(compiler, type)}].value` : v
+    return { r, code: `${declaration}\nif (${check}) { ${r} = ${value} } else { ${getFailure(v, path)} }` }
+  }
+  // subclasses (e.g. StripType) may change the behaviour, so they are not compiled
+  if (type.constructor === ObjectType || type.constructor === $ExactType) {
+    return { r, code: `${declaration}\n${genProps(compiler, (type: any), v, r, path)}` }
+  }
+  if (type.constructor === ArrayType) {
+    return { r, code: `${declaration}\n${genArray(compiler, (type: any), v, r, path)}` }
+  }
+  if (type.constructor === TupleType) {
+    return { r, code: `${declaration}\n${genTuple(compiler, (type: any), v, r, path)}` }
+  }
+  if (type instanceof MaybeType || type instanceof OptionalType) {
+    const child = gen(compiler, type.type, v, path)
+    const isEmpty = type instanceof MaybeType ? `${v} === void 0 || ${v} === null` : `${v} === void 0`
+    return { r, code: `${declaration}\nif (${isEmpty}) { ${r} = ${v} } else {\n${child.code}\n${r} = ${child.r}\n}` }
+  }
+  if (type instanceof DefaultType) {
+    const child = gen(compiler, type.type, v, path)
+    return { r, code: `${declaration}\nif (${v} === void 0) { ${r} = h.getDefaultValue(R[${ref(compiler, type)}]) } else {\n${child.code}\n${r} = ${child.r}\n}` }
+  }
+  if (type instanceof RefinementType) {
+    const n = fresh(compiler)
+    const child = gen(compiler, type.type, v, path)
+    const refinement = ref(compiler, type)
+    return {
+      r,
+      code: [
+        declaration,
+        `const e${n} = errors.length`,
+        child.code,
+        `if (errors.length === e${n}) {`,
+        `if (R[${refinement}].predicate(${child.r})) { ${r} = ${child.r} }`,
+        `else { ${getFailure(v, path, `R[${refinement}].description`)} }`,
+        '}'
+      ].join('\n')
+    }
+  }
+  // recursive types, unions, intersections, mappings and custom types fall back to their validate
+  const validation = `rv${fresh(compiler)}`
+  const code = [declaration, `let ${validation}`]
+  if (path.length) {
+    // the context is extended in place, as the interpreted combinators do
+    code.push(
+      `c.push(${getEntries(path)})`,
+      `try { ${validation} = h.detachContext(R[${ref(compiler, type)}].validate(${v}, c), c) }`,
+      `finally { c.length -= ${path.length} }`
+    )
+  }
+  else {
+    code.push(`${validation} = R[${ref(compiler, type)}].validate(${v}, c)`)
+  }
+  code.push(
+    `if (h.isFailure(${validation})) { Array.prototype.push.apply(errors, h.fromFailure(${validation})) }`,
+    `else { ${r} = h.fromSuccess(${validation}) }`
+  )
+  return { r, code: code.join('\n') }
+}
+
+export function compile<T>(type: Type<T>): CompiledType<T> {
+  const compiler = { refs: [], count: 0 }
+  const root = gen(compiler, type, 'v', [])
+  const source = `return function (v, c) {\nconst errors = []\n${root.code}\nreturn errors.length ? S.failures(errors) : S.success(${root.r})\n}`
+  const validate: Validate<T> = (new Function('R', 'h', 'S', source): any)(compiler.refs, helpers, t)
+  return new CompiledType(type.name, validate, type.serialize, type.is, type)
+}
@@ -0,0 +1,183 @@
+// @flow
+import type { Type, Props } from './index'
+import * as t from './index'
+import {
+  getFunctionName,
+  LiteralType,
+  KeyofType,
+  InstanceOfType,
+  ClassType,
+  ArrayType,
+  UnionType,
+  TupleType,
+  IntersectionType,
+  MaybeType,
+  OptionalType,
+  DefaultType,
+  ReadonlyType,
+  ReadonlyArrayType,
+  MappingType,
+  RefinementType,
+  AsyncRefinementType,
+  RecursiveType,
+  $ExactType,
+  ObjectType
+} from './index'
+
+export type Options = {
+  // called with the types whose static type is unknown (custom types)
+  fallback?: (type: Type<any>) => string
+};
+
+type Aliases = { [key: string]: { type: Type<any>, source: string } };
+
+function printKey(k: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k)
+}
+
+// refinements and defaults have the same static type of the type they wrap
+function unwrap(type: Type<any>): Type<any> {
+  return type instanceof RefinementType || type instanceof AsyncRefinementType || type instanceof DefaultType ? unwrap(type.type) : type
+}
+
+function printMember(type: Type<any>, aliases: Aliases, options: Options): string {
+  const source = print(type, aliases, options)
+  const u = unwrap(type)
+  return u === t.nil || u instanceof UnionType || u instanceof KeyofType || u instanceof IntersectionType || u instanceof MaybeType || u instanceof OptionalType ? `(${source})` : source
+}
+
+function printProps(props: Props, aliases: Aliases, options: Options): string {
+  return Object.keys(props).map(k => {
+    const type = props[k]
+    return type instanceof OptionalType ?
+      `${printKey(k)}?: ${print(type.type, aliases, options)}` :
+      `${printKey(k)}: ${print(type, aliases, options)}`
+  }).join(', ')
+}
+
+function getAlias(type: Type<any>, aliases: Aliases): ?string {
+  for (let name in aliases) {
+    if (aliases[name].type === type) {
+      return name
+    }
+  }
+}
+
+function print(type: Type<any>, aliases: Aliases, options: Options): string {
+  // the definition of a recursive type is referenced by name as well
+  return getAlias(type, aliases) || printDefinition(type, aliases, options)
+}
+
+function printDefinition(type: Type<any>, aliases: Aliases, options: Options): string {
+  switch (type) {
+    case t.any :
+      return 'any'
+    case t.string :
+      return 'string'
+    case t.number :
+      return 'number'
+    case t.boolean :
+      return 'boolean'
+    case t.null :
+      return 'null'
+    case t.void :
+      return 'void'
+    case t.nil :
+      return 'null | void'
+    case t.Object :
+      return 'Object'
+    case t.Function :
+      return 'Function'
+  }
+  if (type instanceof LiteralType) {
+    return JSON.stringify(type.value)
+  }
+  if (type instanceof KeyofType) {
+    return type.values.map(value => JSON.stringify(value)).join(' | ')
+  }
+  if (type instanceof InstanceOfType) {
+    return getFunctionName(type.ctor)
+  }
+  if (type instanceof ClassType) {
+    return `Class<${getFunctionName(type.ctor)}>`
+  }
+  if (type instanceof $ExactType) {
+    return `$Exact<{ ${printProps(type.props, aliases, options)} }>`
+  }
+  if (type instanceof ObjectType) {
+    return `{ ${printProps(type.props, aliases, options)} }`
+  }
+  if (type instanceof ArrayType) {
+    return `Array<${print(type.type, aliases, options)}>`
+  }
+  if (type instanceof TupleType) {
+    return `[${type.types.map(type => print(type, aliases, options)).join(', ')}]`
+  }
+  if (type instanceof UnionType) {
+    return type.types.map(type => printMember(type, aliases, options)).join(' | ')
+  }
+  if (type instanceof IntersectionType) {
+    return type.types.map(type => printMember(type, aliases, options)).join(' & ')
+  }
+  if (type instanceof MaybeType) {
+    return `?${printMember(type.type, aliases, options)}`
+  }
+  if (type instanceof OptionalType) {
+    return `${printMember(type.type, aliases, options)} | void`
+  }
+  if (type instanceof ReadonlyType) {
+    // $ReadOnly only applies to objects, readonly arrays and tuples are statically typed as they are
+    if (type.type instanceof ArrayType || type.type instanceof TupleType) {
+      return print(type.type, aliases, options)
+    }
+    return `$ReadOnly<${print(type.type, aliases, options)}>`
+  }
+  if (type instanceof ReadonlyArrayType) {
+    return `$ReadOnlyArray<${print(type.type, aliases, options)}>`
+  }
+  if (type instanceof MappingType) {
+    return `{ [key: ${print(type.domain, aliases, options)}]: ${print(type.codomain, aliases, options)} }`
+  }
+  if (type instanceof RefinementType || type instanceof AsyncRefinementType || type instanceof DefaultType) {
+    return print(type.type, aliases, options)
+  }
+  if (type instanceof RecursiveType) {
+    if (!aliases.hasOwnProperty(type.name)) {
+      // registered before the definition is visited in order to stop the recursion
+      aliases[type.name] = { type: type.type, source: '' }
+      aliases[type.name].source = printDefinition(type.type, aliases, options)
+    }
+    return type.name
+  }
+  if (options.fallback) {
+    return options.fallback(type)
+  }
+  throw new Error(`Cannot print the Flow type of ${type.name}, provide a fallback`)
+}
+
+// recursive types are referenced by name
+export function printFlowType(type: Type<any>, options?: Options = {}): string {
+  return print(type, {}, options)
+}
+
+// returns the source of a module exporting a type alias for each runtime type and for the recursive types they contain
+export function printFlowDeclarations(types: { [key: string]: Type<any> }, options?: Options = {}): string {
+  const aliases = {}
+  // the first pass collects the recursive types
+  for (let name in types) {
+    print(types[name], aliases, options)
+  }
+  const lines = ['// @flow', '']
+  for (let name in aliases) {
+    if (!types.hasOwnProperty(name)) {
+      lines.push(`export type ${name} = ${aliases[name].source};`)
+    }
+  }
+  for (let name in types) {
+    const type = types[name]
+    // a recursive type is declared once
+    const source = aliases.hasOwnProperty(name) && aliases[name].type === type ? aliases[name].source : print(type, aliases, options)
+    lines.push(`export type ${name} = ${source};`)
+  }
+  return lines.join('\n') + '\n'
+}
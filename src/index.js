@@ -15,12 +15,22 @@ export type TypeOf<RT> = ExtractType<*, RT>;
 
 export type Validate<T> = (value: mixed, context: Context) => Validation<T>;
 
+export type Serialize<T> = (value: T) => mixed;
+
+// a guard on the runtime representation of a value, i.e. on the values returned by validate (e.g. a Date for DateFromISOString)
+export type Is = (value: mixed) => boolean;
+
 export class Type<T> {
   name: string;
   validate: Validate<T>;
-  constructor(name: string, validate: Validate<T>) {
+  serialize: Serialize<T>;
+  is: Is;
+  constructor(name: string, validate: Validate<T>, serialize?: Serialize<T>, is?: Is) {
     this.name = name
     this.validate = validate
+    this.serialize = serialize || identity
+    // a type which doesn't transform its input validates its runtime values as well
+    this.is = is || (v => isSuccess(validateWithContext(v, getDefaultContext(this), this, { maxErrors: 1 })))
   }
 }
 
@@ -31,22 +41,63 @@ export type ContextEntry<T> = {
 
 export type Context = Array<ContextEntry<any>>;
 
+export type ErrorDescription = {
+  message?: string,
+  code?: string
+};
+
 export type ValidationError = {
   value: mixed,
-  context: Context
+  context: Context,
+  message?: string,
+  code?: string,
+  errors?: Array<ValidationError>
 };
 
 export type Validation<T> = Either<Array<ValidationError>, T>;
 
+export type ValidationOptions = {
+  // the validation stops once maxErrors errors are found
+  maxErrors?: number
+};
+
 //
 // helpers
 //
 
-function getValidationError(value: mixed, context: Context): ValidationError {
-  return {
+// the state of the running validation
+let maxErrors = Infinity
+let errorCount = 0
+
+function isAborted(): boolean {
+  return errorCount >= maxErrors
+}
+
+function getMaxErrors(options: ValidationOptions): number {
+  return options.maxErrors && options.maxErrors > 0 ? options.maxErrors : Infinity
+}
+
+function getValidationError(value: mixed, context: Context, description?: ?ErrorDescription, errors?: Array<ValidationError>): ValidationError {
+  errorCount++
+  const error: ValidationError = {
     value,
-    context
+    // the context of a running validation is mutable
+    context: context.slice()
+  }
+  if (description && description.message) {
+    error.message = description.message
+  }
+  if (description && description.code) {
+    error.code = description.code
+  }
+  if (errors) {
+    error.errors = errors
   }
+  return error
+}
+
+function identity<A>(a: A): A {
+  return a
 }
 
 function pushAll<A>(xs: Array<A>, ys: Array<A>): void {
@@ -58,6 +109,9 @@ function checkAdditionalProps(props: Props, o: Object, c: Context): Array<Valida
   for (let k in o) {
     if (!props.hasOwnProperty(k)) {
       errors.push(getValidationError(o[k], c.concat(getContextEntry(k, nil))))
+      if (isAborted()) {
+        break
+      }
     }
   }
   return errors
@@ -90,8 +144,8 @@ function failures<T>(errors: Array<ValidationError>): Validation<T> {
   return either.left(errors)
 }
 
-function failure<T>(value: mixed, context: Context): Validation<T> {
-  return either.left([getValidationError(value, context)])
+function failure<T>(value: mixed, context: Context, description?: ?ErrorDescription): Validation<T> {
+  return either.left([getValidationError(value, context, description)])
 }
 
 function success<T>(value: T): Validation<T> {
@@ -134,20 +188,113 @@ function fold<A, R>(failure: (errors: Array<ValidationError>) => R, success: (va
   return isFailure(validation) ? failure(fromFailure(validation)) : success(fromSuccess(validation))
 }
 
-function validateWithContext<T>(value: mixed, context: Context, type: Type<T>): Validation<T> {
-  return type.validate(value, context)
+//
+// messages
+//
+
+function stringify(value: mixed): string {
+  return typeof value === 'function' ? getFunctionName(value) : JSON.stringify(value)
+}
+
+function getContextPath(context: Context): string {
+  return context.map(({ key, type }) => `${key}: ${type.name}`).join('/')
+}
+
+function getMessage(e: ValidationError): string {
+  return e.message ?
+    `${e.message} (value ${stringify(e.value)} supplied to ${getContextPath(e.context)})` :
+    `Invalid value ${stringify(e.value)} supplied to ${getContextPath(e.context)}`
+}
+
+// the nested errors are indented
+function getMessages(errors: Array<ValidationError>, f?: (e: ValidationError) => string = getMessage, indentation?: string = ''): Array<string> {
+  const messages = []
+  errors.forEach(e => {
+    messages.push(`${indentation}${f(e)}`)
+    if (e.errors) {
+      pushAll(messages, getMessages(e.errors, f, `${indentation}  `))
+    }
+  })
+  return messages
+}
+
+export class ValidationFailedError extends Error {
+  errors: Array<ValidationError>;
+  // the root type
+  type: Type<any>;
+  constructor(errors: Array<ValidationError>, type: Type<any>) {
+    super(getMessages(errors).join('\n'))
+    // Babel can't extend the builtins, so the prototype is fixed by hand
+    Object.setPrototypeOf(this, ValidationFailedError.prototype)
+    this.name = 'ValidationFailedError'
+    this.errors = errors
+    this.type = type
+  }
+}
+
+//
+// validation
+//
+
+// the errors built by a custom type may hold the context itself, they get a copy before the context changes
+function detachContext<T>(validation: Validation<T>, c: Context): Validation<T> {
+  if (isFailure(validation)) {
+    const errors = fromFailure(validation)
+    for (let i = 0, len = errors.length; i < len; i++) {
+      if (errors[i].context === c) {
+        errors[i].context = c.slice()
+      }
+    }
+  }
+  return validation
+}
+
+// the context is extended in place while a child is validated, so nothing is allocated on the success path
+function validateAt<T>(value: mixed, c: Context, key: string, type: Type<T>): Validation<T> {
+  c.push(getContextEntry(key, type))
+  try {
+    return detachContext(type.validate(value, c), c)
+  }
+  finally {
+    c.pop()
+  }
 }
 
-function validate<T>(value: mixed, type: Type<T>): Validation<T> {
-  return validateWithContext(value, getDefaultContext(type), type)
+function validateWithContext<T>(value: mixed, context: Context, type: Type<T>, options?: ValidationOptions = {}): Validation<T> {
+  const previousMaxErrors = maxErrors
+  const previousErrorCount = errorCount
+  maxErrors = getMaxErrors(options)
+  errorCount = 0
+  try {
+    const validation = type.validate(value, context)
+    return isFailure(validation) && fromFailure(validation).length > maxErrors ?
+      failures(fromFailure(validation).slice(0, maxErrors)) :
+      validation
+  }
+  finally {
+    maxErrors = previousMaxErrors
+    errorCount = previousErrorCount
+  }
+}
+
+function validate<T>(value: mixed, type: Type<T>, options?: ValidationOptions): Validation<T> {
+  return validateWithContext(value, getDefaultContext(type), type, options)
 }
 
 function fromValidation<T>(value: mixed, type: Type<T>): T {
-  return fromSuccess(validate(value, type))
+  const validation = validate(value, type)
+  if (isFailure(validation)) {
+    throw new ValidationFailedError(fromFailure(validation), type)
+  }
+  return fromSuccess(validation)
 }
 
 function is<T>(value: mixed, type: Type<T>): boolean {
-  return isSuccess(validate(value, type))
+  return isSuccess(validate(value, type, { maxErrors: 1 }))
+}
+
+function serialize<T>(value: T, type: Type<T>): mixed {
+  return type.serialize(value)
 }
 
 //
@@ -156,8 +303,8 @@ function is<T>(value: mixed, type: Type<T>): boolean {
 
 export class LiteralType<T> extends Type<T> {
   value: T;
-  constructor(name: string, validate: Validate<T>, value: T) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, value: T) {
+    super(name, validate, serialize, is)
     this.value = value
   }
 }
@@ -168,18 +315,62 @@ function literal<T: LiteralTypeValue>(value: T): LiteralType<T> {
   return new LiteralType(
     JSON.stringify(value),
     (v, c) => v === value ? success(value) : failure(v, c),
+    identity,
+    v => v === value,
     value
   )
 }
 
+//
+// keyof
+//
+
+export class KeyofType<T> extends Type<T> {
+  keys: { [key: string]: mixed };
+  values: Array<T>;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, keys: { [key: string]: mixed }, values: Array<T>) {
+    super(name, validate, serialize, is)
+    this.keys = keys
+    this.values = values
+  }
+}
+
+// a lookup instead of a scan over the members of a union of literals
+function createKeyof<T: string>(keys: { [key: string]: mixed }, values: Array<T>, name?: string): KeyofType<T> {
+  const isKey = v => typeof v === 'string' && Object.prototype.hasOwnProperty.call(keys, v)
+  return new KeyofType(
+    name || `(${values.map(v => JSON.stringify(v)).join(' | ')})`,
+    (v, c) => isKey(v) ? success(unsafeCoerce(v)) : failure(v, c),
+    identity,
+    isKey,
+    keys,
+    values
+  )
+}
+
+function keyof<D: { [key: string]: mixed }>(keys: D, name?: string): KeyofType<$Keys<D>> {
+  return createKeyof(keys, unsafeCoerce(Object.keys(keys)), name)
+}
+
+// Flow widens the literals of an array to string, the static type must be annotated (e.g. KeyofType<'a' | 'b'>)
+function enums<T: string>(values: Array<T>, name?: string): KeyofType<T> {
+  // the values may clash with the props of Object.prototype (e.g. '__proto__')
+  const keys: { [key: string]: mixed } = unsafeCoerce(Object.create(null))
+  values.forEach(value => {
+    keys[value] = null
+  })
+  // the values are kept in the given order (the integer-like keys of an object are sorted)
+  return createKeyof(keys, values, name)
+}
+
 //
 // class instances
 //
 
 export class InstanceOfType<T> extends Type<T> {
   ctor: Class<T>;
-  constructor(name: string, validate: Validate<T>, ctor: Class<T>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, ctor: Class<T>) {
+    super(name, validate, serialize, is)
     this.ctor = ctor
   }
 }
@@ -188,6 +379,8 @@ function instanceOf<T>(ctor: Class<T>, name?: string): InstanceOfType<T> {
   return new InstanceOfType(
     name || getFunctionName(ctor),
     (v, c) => v instanceof ctor ? success(v) : failure(v, c),
+    identity,
+    v => v instanceof ctor,
     ctor
   )
 }
@@ -198,6 +391,10 @@ function instanceOf<T>(ctor: Class<T>, name?: string): InstanceOfType<T> {
 
 export class ClassType<T> extends Type<T> {
   ctor: T;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, ctor: T) {
+    super(name, validate, serialize, is)
+    this.ctor = ctor
+  }
 }
 
 function classOf<T>(ctor: Class<T>, name?: string): ClassType<Class<T>> {
@@ -205,6 +402,8 @@ function classOf<T>(ctor: Class<T>, name?: string): ClassType<Class<T>> {
   return new ClassType(
     name || `Class<${getFunctionName(ctor)}>`,
     (v, c) => type.validate(v, c),
+    identity,
+    type.is,
     ctor
   )
 }
@@ -217,55 +416,34 @@ function isNil(v: mixed) /* : boolean %checks */ {
   return v === void 0 || v === null
 }
 
-const nullType: Type<null> = new Type(
-  'null',
-  (v, c) => v === null ? success(v) : failure(v, c)
-)
+function irreducible<T>(name: string, is: Is): Type<T> {
+  return new Type(
+    name,
+    (v, c) => is(v) ? success(unsafeCoerce(v)) : failure(v, c),
+    identity,
+    is
+  )
+}
 
-const voidType: Type<void> = new Type(
-  'void',
-  (v, c) => v === void 0 ? success(v) : failure(v, c)
-)
+const nullType: Type<null> = irreducible('null', v => v === null)
 
-const nil: Type<void | null> = new Type(
-  'nil',
-  (v, c) => isNil(v) ? success(v) : failure(v, c)
-)
+const voidType: Type<void> = irreducible('void', v => v === void 0)
 
-const any: Type<any> = new Type(
-  'any',
-  (v, c) => success(v) // eslint-disable-line no-unused-vars
-)
+const nil: Type<void | null> = irreducible('nil', isNil)
 
-const string: Type<string> = new Type(
-  'string',
-  (v, c) => typeof v === 'string' ? success(v) : failure(v, c)
-)
+const any: Type<any> = irreducible('any', () => true)
 
-const number: Type<number> = new Type(
-  'number',
-  (v, c) => typeof v === 'number' && isFinite(v) && !isNaN(v) ? success(v) : failure(v, c)
-)
+const string: Type<string> = irreducible('string', v => typeof v === 'string')
 
-const boolean: Type<boolean> = new Type(
-  'boolean',
-  (v, c) => typeof v === 'boolean' ? success(v) : failure(v, c)
-)
+const number: Type<number> = irreducible('number', v => typeof v === 'number' && isFinite(v) && !isNaN(v))
 
-const arrayType: Type<Array<mixed>> = new Type(
-  'Array',
-  (v, c) => Array.isArray(v) ? success(v) : failure(v, c)
-)
+const boolean: Type<boolean> = irreducible('boolean', v => typeof v === 'boolean')
 
-const objectType: Type<Object> = new Type(
-  'Object',
-  (v, c) => !isNil(v) && typeof v === 'object' && !Array.isArray(v) ? success(v) : failure(v, c)
-)
+const arrayType: Type<Array<mixed>> = irreducible('Array', Array.isArray)
 
-const functionType: Type<Function> = new Type(
-  'Function',
-  (v, c) => typeof v === 'function' ? success(v) : failure(v, c)
-)
+const objectType: Type<Object> = irreducible('Object', v => !isNil(v) && typeof v === 'object' && !Array.isArray(v))
+
+const functionType: Type<Function> = irreducible('Function', v => typeof v === 'function')
 
 //
 // arrays
@@ -273,8 +451,8 @@ const functionType: Type<Function> = new Type(
 
 export class ArrayType<T> extends Type<T> {
   type: Type<any>;
-  constructor(name: string, validate: Validate<T>, type: Type<any>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>) {
+    super(name, validate, serialize, is)
     this.type = type
   }
 }
@@ -289,9 +467,12 @@ function array<T, RT: Type<T>>(type: RT, name?: string): ArrayType<Array<T>> {
         let changed = false
         for (let i = 0, len = as.length; i < len; i++) {
           const a = as[i]
-          const validation = type.validate(a, c.concat(getContextEntry(String(i), type)))
+          const validation = validateAt(a, c, String(i), type)
           if (isFailure(validation)) {
             pushAll(errors, fromFailure(validation))
+            if (isAborted()) {
+              break
+            }
           }
           else {
             const va = fromSuccess(validation)
@@ -302,6 +483,8 @@ function array<T, RT: Type<T>>(type: RT, name?: string): ArrayType<Array<T>> {
         return errors.length ? failures(errors) : success(changed ? t : unsafeCoerce(as))
       }, arrayType.validate(v, c))
     },
+    as => as.map(type.serialize),
+    v => Array.isArray(v) && v.every(type.is),
     type
   )
 }
@@ -312,49 +495,163 @@ function array<T, RT: Type<T>>(type: RT, name?: string): ArrayType<Array<T>> {
 
 export class UnionType<T> extends Type<T> {
   types: Array<Type<any>>;
-  constructor(name: string, validate: Validate<T>, types: Array<Type<any>>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, types: Array<Type<any>>) {
+    super(name, validate, serialize, is)
     this.types = types
   }
 }
 
-declare function union<A, B, C, D, E>(types: [Type<A>, Type<B>, Type<C>, Type<E>], name?: string) : UnionType<A | B | C | D | E>; // eslint-disable-line no-redeclare
+// Flow can't fold a tuple of types into a union, hence an overload per arity (up to twelve members)
+declare function union<A, B, C, D, E, F, G, H, I, J, K, L>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>, Type<L>], name?: string) : UnionType<A | B | C | D | E | F | G | H | I | J | K | L>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F, G, H, I, J, K>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>], name?: string) : UnionType<A | B | C | D | E | F | G | H | I | J | K>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F, G, H, I, J>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>], name?: string) : UnionType<A | B | C | D | E | F | G | H | I | J>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F, G, H, I>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>], name?: string) : UnionType<A | B | C | D | E | F | G | H | I>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F, G, H>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>], name?: string) : UnionType<A | B | C | D | E | F | G | H>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F, G>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>], name?: string) : UnionType<A | B | C | D | E | F | G>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E, F>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>], name?: string) : UnionType<A | B | C | D | E | F>; // eslint-disable-line no-redeclare
+declare function union<A, B, C, D, E>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>], name?: string) : UnionType<A | B | C | D | E>; // eslint-disable-line no-redeclare
 declare function union<A, B, C, D>(types: [Type<A>, Type<B>, Type<C>, Type<D>], name?: string) : UnionType<A | B | C | D>; // eslint-disable-line no-redeclare
 declare function union<A, B, C>(types: [Type<A>, Type<B>, Type<C>], name?: string) : UnionType<A | B | C>; // eslint-disable-line no-redeclare
 declare function union<A, B>(types: [Type<A>, Type<B>], name?: string) : UnionType<A | B>; // eslint-disable-line no-redeclare
+declare function union<A>(types: [Type<A>], name?: string) : UnionType<A>; // eslint-disable-line no-redeclare
 
 function union(types: Array<Type<any>>, name?: string): UnionType<any> { // eslint-disable-line no-redeclare
   return new UnionType(
     name || `(${types.map(getTypeName).join(' | ')})`,
     (v, c) => {
+      const errors = []
+      const pending = asyncChecks ? asyncChecks.length : 0
+      const count = errorCount
       for (let i = 0, len = types.length; i < len; i++) {
-        const validation = types[i].validate(v, c)
+        const type = types[i]
+        const validation = validateAt(v, c, String(i), type)
         if (isSuccess(validation)) {
           return validation
         }
+        pushAll(errors, fromFailure(validation))
+        // the errors of a rejected member don't count and its async checks are discarded
+        errorCount = count
+        if (asyncChecks) {
+          asyncChecks.length = pending
+        }
       }
-      return failure(v, c)
+      // the errors of each member are nested into the union error
+      return failures([getValidationError(v, c, null, errors)])
     },
+    a => {
+      // the value is a runtime value (e.g. a Date for DateFromISOString), so the member is picked by its guard
+      for (let i = 0, len = types.length; i < len; i++) {
+        const type = types[i]
+        if (type.is(a)) {
+          return type.serialize(a)
+        }
+      }
+      return a
+    },
+    v => types.some(type => type.is(v)),
     types
   )
 }
 
+//
+// tagged unions
+//
+
+export type Tags = { [key: string]: Type<any> };
+
+export class TaggedUnionType<T> extends UnionType<T> {
+  tagKey: string;
+  tags: Tags;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, types: Array<Type<any>>, tagKey: string, tags: Tags) {
+    super(name, validate, serialize, is, types)
+    this.tagKey = tagKey
+    this.tags = tags
+  }
+}
+
+function getTagType<T>(tagKey: string, type: Type<T>): LiteralType<any> {
+  const props = (type: Object).props
+  if (!props || !(props[tagKey] instanceof LiteralType)) {
+    throw new Error(`Invalid member ${getTypeName(type)} supplied to taggedUnion: ${tagKey} must be a literal`)
+  }
+  return props[tagKey]
+}
+
+declare function taggedUnion<A, B, C, D, E, F, G, H, I, J, K, L>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>, Type<L>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G | H | I | J | K | L>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F, G, H, I, J, K>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G | H | I | J | K>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F, G, H, I, J>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G | H | I | J>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F, G, H, I>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G | H | I>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F, G, H>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G | H>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F, G>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>], name?: string) : TaggedUnionType<A | B | C | D | E | F | G>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E, F>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>], name?: string) : TaggedUnionType<A | B | C | D | E | F>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D, E>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>], name?: string) : TaggedUnionType<A | B | C | D | E>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C, D>(tagKey: string, types: [Type<A>, Type<B>, Type<C>, Type<D>], name?: string) : TaggedUnionType<A | B | C | D>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B, C>(tagKey: string, types: [Type<A>, Type<B>, Type<C>], name?: string) : TaggedUnionType<A | B | C>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A, B>(tagKey: string, types: [Type<A>, Type<B>], name?: string) : TaggedUnionType<A | B>; // eslint-disable-line no-redeclare
+declare function taggedUnion<A>(tagKey: string, types: [Type<A>], name?: string) : TaggedUnionType<A>; // eslint-disable-line no-redeclare
+
+function taggedUnion(tagKey: string, types: Array<Type<any>>, name?: string): TaggedUnionType<any> { // eslint-disable-line no-redeclare
+  // the tags are values, so they may clash with the props of Object.prototype (e.g. 'hasOwnProperty', '__proto__')
+  const tags: Tags = unsafeCoerce(Object.create(null))
+  const indexes: { [key: string]: number } = unsafeCoerce(Object.create(null))
+  const tagTypes = types.map((type, i) => {
+    const tagType = getTagType(tagKey, type)
+    const tag = String(tagType.value)
+    if (Object.prototype.hasOwnProperty.call(indexes, tag)) {
+      throw new Error(`Duplicate tag ${tagType.name} supplied to taggedUnion`)
+    }
+    tags[tag] = type
+    indexes[tag] = i
+    return tagType
+  })
+  const tagsType = union(unsafeCoerce(tagTypes))
+  return new TaggedUnionType(
+    name || `(${types.map(getTypeName).join(' | ')})`,
+    (v, c) => {
+      return either.chain(o => {
+        const tag = String(o[tagKey])
+        if (!Object.prototype.hasOwnProperty.call(indexes, tag)) {
+          return failure(o[tagKey], c.concat(getContextEntry(tagKey, tagsType)))
+        }
+        const i = indexes[tag]
+        const type = types[i]
+        return validateAt(o, c, String(i), type)
+      }, objectType.validate(v, c))
+    },
+    a => {
+      const tag = String(a[tagKey])
+      return Object.prototype.hasOwnProperty.call(tags, tag) ? tags[tag].serialize(a) : a
+    },
+    (v: any) => {
+      if (!objectType.is(v)) {
+        return false
+      }
+      const tag = String(v[tagKey])
+      return Object.prototype.hasOwnProperty.call(tags, tag) && tags[tag].is(v)
+    },
+    types,
+    tagKey,
+    tags
+  )
+}
+
 //
 // tuples
 //
 
 export class TupleType<T> extends Type<T> {
   types: Array<Type<any>>;
-  constructor(name: string, validate: Validate<T>, types: Array<Type<any>>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, types: Array<Type<any>>) {
+    super(name, validate, serialize, is)
     this.types = types
   }
 }
 
-declare function tuple<A, B, C, D, E>(types: [Type<A>, Type<B>, Type<C>, Type<E>], name?: string) : TupleType<[A, B, C, E]>; // eslint-disable-line no-redeclare
-declare function tuple<A, B, C, D>(types: [Type<A>, Type<B>, Type<C>, Type<D>], name?: string) : TupleType<[A, B, C, D]>; // eslint-disable-line no-redeclare
-declare function tuple<A, B, C>(types: [Type<A>, Type<B>, Type<C>], name?: string) : TupleType<[A, B, C]>; // eslint-disable-line no-redeclare
-declare function tuple<A, B>(types: [Type<A>, Type<B>], name?: string) : TupleType<[A, B]>; // eslint-disable-line no-redeclare
+// maps a tuple of types to the tuple of their static types, e.g. [Type<string>, Type<number>] to [string, number]
+export type TypesType<TS> = $TupleMap<TS, <T>(v: Type<T>) => T>;
+
+// the array check is on the argument rather than a bound of TS, a bound would merge the static types of the components
+declare function tuple<TS>(types: TS & $ReadOnlyArray<Type<any>>, name?: string) : TupleType<TypesType<TS>>; // eslint-disable-line no-redeclare
 
 function tuple(types: Array<Type<any>>, name?: string): TupleType<any> { // eslint-disable-line no-redeclare
   return new TupleType(
@@ -367,9 +664,12 @@ function tuple(types: Array<Type<any>>, name?: string): TupleType<any> { // esli
         for (let i = 0, len = types.length; i < len; i++) {
           const a = as[i]
           const type = types[i]
-          const validation = type.validate(a, c.concat(getContextEntry(String(i), type)))
+          const validation = validateAt(a, c, String(i), type)
           if (isFailure(validation)) {
             pushAll(errors, fromFailure(validation))
+            if (isAborted()) {
+              break
+            }
           }
           else {
             const va = fromSuccess(validation)
@@ -380,6 +680,8 @@ function tuple(types: Array<Type<any>>, name?: string): TupleType<any> { // esli
         return errors.length ? failures(errors) : success(changed ? t : as)
       }, arrayType.validate(v, c))
     },
+    as => types.map((type, i) => type.serialize(as[i])),
+    (v: any) => Array.isArray(v) && types.every((type, i) => type.is(v[i])),
     types
   )
 }
@@ -390,13 +692,20 @@ function tuple(types: Array<Type<any>>, name?: string): TupleType<any> { // esli
 
 export class IntersectionType<T> extends Type<T> {
   types: Array<Type<any>>;
-  constructor(name: string, validate: Validate<T>, types: Array<Type<any>>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, types: Array<Type<any>>) {
+    super(name, validate, serialize, is)
     this.types = types
   }
 }
 
-declare function intersection<A, B, C, D, E>(types: [Type<A>, Type<B>, Type<C>, Type<E>], name?: string) : IntersectionType<A & B & C & D & E>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G, H, I, J, K, L>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>, Type<L>], name?: string) : IntersectionType<A & B & C & D & E & F & G & H & I & J & K & L>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G, H, I, J, K>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>, Type<K>], name?: string) : IntersectionType<A & B & C & D & E & F & G & H & I & J & K>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G, H, I, J>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>, Type<J>], name?: string) : IntersectionType<A & B & C & D & E & F & G & H & I & J>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G, H, I>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>, Type<I>], name?: string) : IntersectionType<A & B & C & D & E & F & G & H & I>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G, H>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>, Type<H>], name?: string) : IntersectionType<A & B & C & D & E & F & G & H>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F, G>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>, Type<G>], name?: string) : IntersectionType<A & B & C & D & E & F & G>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E, F>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>, Type<F>], name?: string) : IntersectionType<A & B & C & D & E & F>; // eslint-disable-line no-redeclare
+declare function intersection<A, B, C, D, E>(types: [Type<A>, Type<B>, Type<C>, Type<D>, Type<E>], name?: string) : IntersectionType<A & B & C & D & E>; // eslint-disable-line no-redeclare
 declare function intersection<A, B, C, D>(types: [Type<A>, Type<B>, Type<C>, Type<D>], name?: string) : IntersectionType<A & B & C & D>; // eslint-disable-line no-redeclare
 declare function intersection<A, B, C>(types: [Type<A>, Type<B>, Type<C>], name?: string) : IntersectionType<A & B & C>; // eslint-disable-line no-redeclare
 declare function intersection<A, B>(types: [Type<A>, Type<B>], name?: string) : IntersectionType<A & B>; // eslint-disable-line no-redeclare
@@ -410,9 +719,12 @@ function intersection(types: Array<Type<any>>, name?: string): IntersectionType<
       const errors = []
       for (let i = 0, len = types.length; i < len; i++) {
         const type = types[i]
-        const validation = type.validate(t, c.concat(getContextEntry(String(i), type)))
+        const validation = validateAt(t, c, String(i), type)
         if (isFailure(validation)) {
           pushAll(errors, fromFailure(validation))
+          if (isAborted()) {
+            break
+          }
         }
         else {
           const vv = fromSuccess(validation)
@@ -422,6 +734,9 @@ function intersection(types: Array<Type<any>>, name?: string): IntersectionType<
       }
       return errors.length ? failures(errors) : success(changed ? t : v)
     },
+    // members are validated in sequence, so they are serialized in reverse order
+    a => types.reduceRight((s: mixed, type: Type<any>) => type.serialize(s), (a: mixed)),
+    v => types.every(type => type.is(v)),
     types
   )
 }
@@ -432,8 +747,8 @@ function intersection(types: Array<Type<any>>, name?: string): IntersectionType<
 
 export class MaybeType<T> extends Type<T> {
   type: Type<any>;
-  constructor(name: string, validate: Validate<T>, type: Type<any>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>) {
+    super(name, validate, serialize, is)
     this.type = type
   }
 }
@@ -442,10 +757,154 @@ function maybe<T>(type: Type<T>, name?: string): MaybeType<?T> {
   return new MaybeType(
     name || `?${getTypeName(type)}`,
     (v, c) => unsafeCoerce(isNil(v) ? success(v) : type.validate(v, c)),
+    a => isNil(a) ? a : type.serialize(a),
+    v => isNil(v) || type.is(v),
     type
   )
 }
 
+//
+// optional props
+//
+
+export class OptionalType<T> extends Type<T> {
+  type: Type<any>;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>) {
+    super(name, validate, serialize, is)
+    this.type = type
+  }
+}
+
+function optional<T>(type: Type<T>, name?: string): OptionalType<T | void> {
+  return new OptionalType(
+    name || `(${getTypeName(type)} | void)`,
+    (v, c) => unsafeCoerce(v === void 0 ? success(v) : type.validate(v, c)),
+    a => a === void 0 ? a : type.serialize(a),
+    v => v === void 0 || type.is(v),
+    type
+  )
+}
+
+//
+// defaults
+//
+
+export type DefaultValue<T> = T | () => T;
+
+export class DefaultType<T> extends Type<T> {
+  type: Type<any>;
+  defaultValue: DefaultValue<T>;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, defaultValue: DefaultValue<T>) {
+    super(name, validate, serialize, is)
+    this.type = type
+    this.defaultValue = defaultValue
+  }
+}
+
+// a function is considered a factory, so a default for a function type must be wrapped in a factory
+function getDefaultValue<T>(type: DefaultType<T>): T {
+  const defaultValue = type.defaultValue
+  return typeof defaultValue === 'function' ? defaultValue() : defaultValue
+}
+
+declare function withDefault<T>(type: Type<T>, defaultValue: () => T, name?: string): DefaultType<T>; // eslint-disable-line no-redeclare
+declare function withDefault<T>(type: Type<T>, defaultValue: T, name?: string): DefaultType<T>; // eslint-disable-line no-redeclare
+
+function withDefault<T>(type: Type<T>, defaultValue: DefaultValue<T>, name?: string): DefaultType<T> { // eslint-disable-line no-redeclare
+  const Default = new DefaultType(
+    name || getTypeName(type),
+    (v, c) => v === void 0 ? success(getDefaultValue(Default)) : type.validate(v, c),
+    a => type.serialize(a),
+    type.is,
+    type,
+    defaultValue
+  )
+  return Default
+}
+
+//
+// readonly
+//
+
+export type ReadonlyOptions = {
+  // deeply freezes the validated value
+  freeze?: boolean
+};
+
+function isPlainObject(x: Object): boolean {
+  const proto = Object.getPrototypeOf(x)
+  return proto === (Object.prototype: any) || proto === null
+}
+
+// the validated value may be owned by the caller or by other types (e.g. a default value), so a frozen copy is returned.
+// Only the arrays and the plain objects are copied, the other objects (e.g. dates, class instances) are kept as they are
+function deepFreeze<T>(x: T): T {
+  if (Array.isArray(x)) {
+    return unsafeCoerce(Object.freeze(x.map(deepFreeze)))
+  }
+  if (x !== null && typeof x === 'object' && isPlainObject(x)) {
+    const o = Object.create((Object.getPrototypeOf(x): any))
+    const keys = Object.keys(x)
+    for (let i = 0, len = keys.length; i < len; i++) {
+      const k = keys[i]
+      // a key may be '__proto__'
+      Object.defineProperty(o, k, { value: deepFreeze(x[k]), enumerable: true })
+    }
+    return unsafeCoerce(Object.freeze(o))
+  }
+  return x
+}
+
+export class ReadonlyType<T> extends Type<T> {
+  type: Type<any>;
+  freeze: boolean;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, freeze: boolean) {
+    super(name, validate, serialize, is)
+    this.type = type
+    this.freeze = freeze
+  }
+}
+
+// Flow has no read-only tuples
+declare function readonly<T: Array<any>>(type: Type<T>, options?: ReadonlyOptions, name?: string): ReadonlyType<T>; // eslint-disable-line no-redeclare
+declare function readonly<T: Object>(type: Type<T>, options?: ReadonlyOptions, name?: string): ReadonlyType<$ReadOnly<T>>; // eslint-disable-line no-redeclare
+
+// meant for object, $exact, tuple and mapping types
+function readonly<T>(type: Type<T>, options?: ReadonlyOptions = {}, name?: string): ReadonlyType<T> { // eslint-disable-line no-redeclare
+  const freeze = options.freeze === true
+  return new ReadonlyType(
+    name || `$ReadOnly<${getTypeName(type)}>`,
+    (v, c) => freeze ? either.map(deepFreeze, type.validate(v, c)) : type.validate(v, c),
+    a => type.serialize(a),
+    type.is,
+    type,
+    freeze
+  )
+}
+
+export class ReadonlyArrayType<T> extends Type<T> {
+  type: Type<any>;
+  freeze: boolean;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, freeze: boolean) {
+    super(name, validate, serialize, is)
+    this.type = type
+    this.freeze = freeze
+  }
+}
+
+function readonlyArray<T, RT: Type<T>>(type: RT, options?: ReadonlyOptions = {}, name?: string): ReadonlyArrayType<$ReadOnlyArray<T>> {
+  const freeze = options.freeze === true
+  const arrayType: Type<any> = array(type)
+  return new ReadonlyArrayType(
+    name || `$ReadOnlyArray<${getTypeName(type)}>`,
+    (v, c) => freeze ? either.map(deepFreeze, arrayType.validate(v, c)) : arrayType.validate(v, c),
+    as => arrayType.serialize(as),
+    arrayType.is,
+    type,
+    freeze
+  )
+}
+
 //
 // map objects
 //
@@ -453,8 +912,8 @@ function maybe<T>(type: Type<T>, name?: string): MaybeType<?T> {
 export class MappingType<T> extends Type<T> {
   domain: Type<any>;
   codomain: Type<any>;
-  constructor(name: string, validate: Validate<T>, domain: Type<any>, codomain: Type<any>) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, domain: Type<any>, codomain: Type<any>) {
+    super(name, validate, serialize, is)
     this.domain = domain
     this.codomain = codomain
   }
@@ -470,10 +929,13 @@ function mapping<D: string, RTD: Type<D>, C, RTC: Type<C>>(domain: RTD, codomain
         let changed = false
         for (let k in o) {
           const ok = o[k]
-          const domainValidation = domain.validate(k, c.concat(getContextEntry(k, domain)))
-          const codomainValidation = codomain.validate(ok, c.concat(getContextEntry(k, codomain)))
+          const domainValidation = validateAt(k, c, k, domain)
+          const codomainValidation = validateAt(ok, c, k, codomain)
           if (isFailure(domainValidation)) {
             pushAll(errors, fromFailure(domainValidation))
+            if (isAborted()) {
+              break
+            }
           }
           else {
             const vk = fromSuccess(domainValidation)
@@ -482,6 +944,9 @@ function mapping<D: string, RTD: Type<D>, C, RTC: Type<C>>(domain: RTD, codomain
           }
           if (isFailure(codomainValidation)) {
             pushAll(errors, fromFailure(codomainValidation))
+            if (isAborted()) {
+              break
+            }
           }
           else {
             const vok = fromSuccess(codomainValidation)
@@ -492,6 +957,26 @@ function mapping<D: string, RTD: Type<D>, C, RTC: Type<C>>(domain: RTD, codomain
         return errors.length ? failures(errors) : success(changed ? t : o)
       }, objectType.validate(v, c))
     },
+    a => {
+      const s = {}
+      for (let k in a) {
+        // the keys of a are in the domain
+        const d: D = unsafeCoerce(k)
+        s[String(domain.serialize(d))] = codomain.serialize(a[d])
+      }
+      return s
+    },
+    (v: any) => {
+      if (!objectType.is(v)) {
+        return false
+      }
+      for (let k in v) {
+        if (!domain.is(k) || !codomain.is(v[k])) {
+          return false
+        }
+      }
+      return true
+    },
     domain,
     codomain
   )
@@ -506,36 +991,179 @@ export type Predicate<T> = (value: T) => boolean;
 export class RefinementType<T> extends Type<T> {
   type: Type<any>;
   predicate: Predicate<T>;
-  constructor(name: string, validate: Validate<T>, type: Type<any>, predicate: Predicate<T>) {
-    super(name, validate)
+  description: ?ErrorDescription;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, predicate: Predicate<T>, description: ?ErrorDescription) {
+    super(name, validate, serialize, is)
     this.type = type
     this.predicate = predicate
+    this.description = description
   }
 }
 
-function refinement<T>(type: Type<T>, predicate: Predicate<T>, name?: string): RefinementType<T> {
+function refinement<T>(type: Type<T>, predicate: Predicate<T>, name?: string, description?: ErrorDescription): RefinementType<T> {
   return new RefinementType(
     name || `(${getTypeName(type)} | ${getFunctionName(predicate)})`,
     (v, c) => either.chain(
-      t => predicate(t) ? success(t) : failure(v, c),
+      t => predicate(t) ? success(t) : failure(v, c, description),
       type.validate(v, c)
     ),
+    a => type.serialize(a),
+    v => type.is(v) && predicate(unsafeCoerce(v)),
+    type,
+    predicate,
+    description
+  )
+}
+
+//
+// brands
+//
+
+// the static type of a branded type when an opaque type alias can't be used, e.g. Brand<string, 'Email'>
+export type Brand<T, B: string> = T & { +__brand: B };
+
+export class BrandType<T> extends RefinementType<T> {
+  brandName: string;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, predicate: Predicate<any>, description: ?ErrorDescription, brandName: string) {
+    super(name, validate, serialize, is, type, predicate, description)
+    this.brandName = brandName
+  }
+}
+
+// B is the branded type (an opaque type alias of T or a Brand<T, ...>), so a value of type T is not accepted where a B is expected
+function brand<T, B: T>(type: Type<T>, predicate: Predicate<T>, brandName: string, description?: ErrorDescription): BrandType<B> {
+  const Refinement = refinement(type, predicate, brandName, description)
+  return new BrandType(
+    brandName,
+    unsafeCoerce(Refinement.validate),
+    unsafeCoerce(Refinement.serialize),
+    Refinement.is,
     type,
-    predicate
+    predicate,
+    description,
+    brandName
   )
 }
 
+//
+// async refinements
+//
+
+export type AsyncPredicate<T> = (value: T) => Promise<boolean>;
+
+export type AsyncOptions = ValidationOptions & {
+  // max number of async checks running at the same time
+  concurrency?: number
+};
+
+type AsyncCheck = () => Promise<Array<ValidationError>>;
+
+// collects the async checks while validateAsync runs the synchronous validation
+let asyncChecks: ?Array<AsyncCheck> = null
+
+export class AsyncRefinementType<T> extends Type<T> {
+  type: Type<any>;
+  predicate: AsyncPredicate<T>;
+  description: ?ErrorDescription;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, predicate: AsyncPredicate<T>, description: ?ErrorDescription) {
+    super(name, validate, serialize, is)
+    this.type = type
+    this.predicate = predicate
+    this.description = description
+  }
+}
+
+function asyncRefinement<T>(type: Type<T>, predicate: AsyncPredicate<T>, name?: string, description?: ErrorDescription): AsyncRefinementType<T> {
+  return new AsyncRefinementType(
+    name || `(${getTypeName(type)} | ${getFunctionName(predicate)})`,
+    (v, c) => either.chain(
+      t => {
+        if (!asyncChecks) {
+          return failure(v, c, { message: 'requires validateAsync', code: 'async' })
+        }
+        const context = c.slice()
+        asyncChecks.push(() => Promise.resolve(t).then(predicate).then(ok => ok ? [] : [getValidationError(v, context, description)]))
+        return success(t)
+      },
+      type.validate(v, c)
+    ),
+    a => type.serialize(a),
+    // the predicate can't be checked synchronously
+    type.is,
+    type,
+    predicate,
+    description
+  )
+}
+
+function runAll<A>(tasks: Array<() => Promise<A>>, concurrency: number): Promise<Array<A>> {
+  return new Promise((resolve, reject) => {
+    const results = []
+    let started = 0
+    let completed = 0
+    function run() {
+      const i = started++
+      tasks[i]().then(result => {
+        results[i] = result
+        completed++
+        if (completed === tasks.length) {
+          resolve(results)
+        }
+        else if (started < tasks.length) {
+          run()
+        }
+      }, reject)
+    }
+    if (tasks.length === 0) {
+      resolve(results)
+    }
+    for (let i = 0, len = Math.min(concurrency, tasks.length); i < len; i++) {
+      run()
+    }
+  })
+}
+
+function validateAsync<T>(value: mixed, type: Type<T>, options?: AsyncOptions = {}): Promise<Validation<T>> {
+  const previousAsyncChecks = asyncChecks
+  const checks = []
+  let validation
+  asyncChecks = checks
+  try {
+    validation = validate(value, type, options)
+  }
+  finally {
+    asyncChecks = previousAsyncChecks
+  }
+  const concurrency = options.concurrency && options.concurrency > 0 ? options.concurrency : checks.length
+  return runAll(checks, concurrency).then(results => {
+    const errors = []
+    results.forEach(result => pushAll(errors, result))
+    if (!errors.length) {
+      return validation
+    }
+    return failures((isFailure(validation) ? fromFailure(validation).concat(errors) : errors).slice(0, getMaxErrors(options)))
+  })
+}
+
 //
 // recursive types
 //
 
+export class RecursiveType<T> extends Type<T> {
+  // the definition, available once the recursive type is defined
+  type: Type<any>;
+}
+
 function recursion<T, RT: Type<T>>(name: string, definition: (self: Type<T>) => RT): RT {
-  const Self = new Type(
+  const Self = new RecursiveType(
     name,
-    (v, c) => Result.validate(v, c)
+    (v, c) => Result.validate(v, c),
+    a => Result.serialize(a),
+    v => Result.is(v)
   )
   const Result = definition(Self)
   Result.name = name
+  Self.type = Result
   return Result
 }
 
@@ -547,8 +1175,8 @@ export type PropsType<P: Props> = $ObjMap<P, <T>(v: Type<T>) => T>;
 
 export class $ExactType<T> extends Type<T> {
   props: Props;
-  constructor(name: string, validate: Validate<T>, props: Props) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, props: Props) {
+    super(name, validate, serialize, is)
     this.props = props
   }
 }
@@ -562,6 +1190,9 @@ function $exact<P: Props>(props: P, name?: string): $ExactType<$Exact<PropsType<
       const errors = checkAdditionalProps(props, o, c)
       return errors.length ? failures(errors) : success(unsafeCoerce(o))
     }, type.validate(v, c)),
+    // an exact object is an object
+    a => type.serialize(a),
+    (v: any) => type.is(v) && Object.keys(v).every(k => props.hasOwnProperty(k)),
     props
   )
 }
@@ -574,14 +1205,18 @@ export type Props = { [key: string]: Type<any> };
 
 export class ObjectType<T> extends Type<T> {
   props: Props;
-  constructor(name: string, validate: Validate<T>, props: Props) {
-    super(name, validate)
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, props: Props) {
+    super(name, validate, serialize, is)
     this.props = props
   }
 }
 
+function getDefaultPropName(k: string, type: Type<any>): string {
+  return type instanceof OptionalType ? `${k}?: ${type.type.name}` : `${k}: ${type.name}`
+}
+
 function getDefaultObjectTypeName(props: Props): string {
-  return `{ ${Object.keys(props).map(k => `${k}: ${props[k].name}`).join(', ')} }`
+  return `{ ${Object.keys(props).map(k => getDefaultPropName(k, props[k])).join(', ')} }`
 }
 
 function object<P: Props>(props: P, name?: string): ObjectType<PropsType<P>> {
@@ -595,29 +1230,249 @@ function object<P: Props>(props: P, name?: string): ObjectType<PropsType<P>> {
         for (let k in props) {
           const ok = o[k]
           const type = props[k]
-          const validation = type.validate(ok, c.concat(getContextEntry(k, type)))
+          const validation = validateAt(ok, c, k, type)
           if (isFailure(validation)) {
             pushAll(errors, fromFailure(validation))
+            if (isAborted()) {
+              break
+            }
           }
           else {
             const vok = fromSuccess(validation)
-            changed = changed || ( vok !== ok )
-            t[k] = vok
+            if (vok !== ok) {
+              changed = true
+              t[k] = vok
+            }
           }
         }
         return errors.length ? failures(errors) : success(changed ? t : o)
       }, objectType.validate(v, c))
     },
+    a => {
+      const s = Object.assign({}, a)
+      let changed = false
+      for (let k in props) {
+        const ak = a[k]
+        const sak = props[k].serialize(ak)
+        if (sak !== ak) {
+          changed = true
+          s[k] = sak
+        }
+      }
+      return changed ? s : a
+    },
+    (v: any) => {
+      if (!objectType.is(v)) {
+        return false
+      }
+      for (let k in props) {
+        if (!props[k].is(v[k])) {
+          return false
+        }
+      }
+      return true
+    },
     props
   )
 }
 
+//
+// partials
+//
+
+function partial<P: Props>(props: P, name?: string): ObjectType<$Shape<PropsType<P>>> {
+  const optionalProps = {}
+  for (let k in props) {
+    const type = props[k]
+    // props with a default are already optional
+    optionalProps[k] = type instanceof OptionalType || type instanceof DefaultType ? type : optional(type)
+  }
+  return unsafeCoerce(object(optionalProps, name))
+}
+
+//
+// static types
+//
+
+// Flow can't infer optional keys (an optional(A) prop is typed as a required key of type A | void), so the static type T can be stated:
+// the static type S of the runtime type must be a subtype of T, e.g. an optional(A) prop fits an optional key of type A
+declare function withStaticType<T, S: T>(type: Type<S>): Type<T>; // eslint-disable-line no-redeclare
+
+function withStaticType<T>(type: Type<any>): Type<T> { // eslint-disable-line no-redeclare
+  return type
+}
+
+//
+// strip
+//
+
+export class StripType<T> extends ObjectType<T> {}
+
+function pick(props: Props, o: Object): Object {
+  const t = {}
+  let changed = false
+  for (let k in o) {
+    if (props.hasOwnProperty(k)) {
+      t[k] = o[k]
+    }
+    else {
+      changed = true
+    }
+  }
+  return changed ? t : o
+}
+
+// the stripped recursive types, by name
+type StrippedRecursiveTypes = { [key: string]: Type<any> };
+
+function stripProps<P: Props>(props: P, recursives: StrippedRecursiveTypes): P {
+  const strippedProps = {}
+  for (let k in props) {
+    strippedProps[k] = stripType(props[k], recursives)
+  }
+  return unsafeCoerce(strippedProps)
+}
+
+function getIntersectionProps(type: Type<any>): ?Props {
+  if (type instanceof ObjectType || type instanceof $ExactType) {
+    return type.props
+  }
+  if (type instanceof RefinementType) {
+    return getIntersectionProps(type.type)
+  }
+  if (type instanceof IntersectionType) {
+    const props = {}
+    for (let i = 0, len = type.types.length; i < len; i++) {
+      const memberProps = getIntersectionProps(type.types[i])
+      if (!memberProps) {
+        return null
+      }
+      Object.assign(props, memberProps)
+    }
+    return props
+  }
+  return null
+}
+
+// the members of an intersection must preserve the props of the other members, the intersection picks them all
+function stripIntersectionMember(type: Type<any>, recursives: StrippedRecursiveTypes): Type<any> {
+  if (type instanceof ObjectType) {
+    return object(stripProps(type.props, recursives), type.name)
+  }
+  if (type instanceof RefinementType) {
+    return refinement(stripIntersectionMember(type.type, recursives), type.predicate, type.name, type.description || undefined)
+  }
+  if (type instanceof IntersectionType) {
+    return intersection(unsafeCoerce(type.types.map(member => stripIntersectionMember(member, recursives))), type.name)
+  }
+  return stripType(type, recursives)
+}
+
+function stripIntersection(type: IntersectionType<any>, recursives: StrippedRecursiveTypes): Type<any> {
+  const types = type.types.map(member => stripIntersectionMember(member, recursives))
+  const intersectionType = intersection(unsafeCoerce(types), type.name)
+  const props = getIntersectionProps(type)
+  if (!props) {
+    return intersectionType
+  }
+  return new IntersectionType(
+    type.name,
+    (v, c) => either.map(o => pick(props, o), intersectionType.validate(v, c)),
+    intersectionType.serialize,
+    intersectionType.is,
+    types
+  )
+}
+
+function stripType(type: Type<any>, recursives: StrippedRecursiveTypes): Type<any> {
+  if (type instanceof ObjectType) {
+    return stripObject(type.props, type.name, recursives)
+  }
+  if (type instanceof $ExactType) {
+    return $exact(stripProps(type.props, recursives), type.name)
+  }
+  if (type instanceof IntersectionType) {
+    return stripIntersection(type, recursives)
+  }
+  if (type instanceof ArrayType) {
+    return array(stripType(type.type, recursives), type.name)
+  }
+  if (type instanceof TupleType) {
+    return tuple(type.types.map(member => stripType(member, recursives)), type.name)
+  }
+  if (type instanceof TaggedUnionType) {
+    return taggedUnion(type.tagKey, unsafeCoerce(type.types.map(member => stripType(member, recursives))), type.name)
+  }
+  if (type instanceof UnionType) {
+    return union(unsafeCoerce(type.types.map(member => stripType(member, recursives))), type.name)
+  }
+  if (type instanceof MaybeType) {
+    return maybe(stripType(type.type, recursives), type.name)
+  }
+  if (type instanceof OptionalType) {
+    return optional(stripType(type.type, recursives), type.name)
+  }
+  if (type instanceof DefaultType) {
+    return withDefault(stripType(type.type, recursives), type.defaultValue, type.name)
+  }
+  if (type instanceof MappingType) {
+    return mapping(type.domain, stripType(type.codomain, recursives), type.name)
+  }
+  if (type instanceof ReadonlyType) {
+    return readonly(stripType(type.type, recursives), { freeze: type.freeze }, type.name)
+  }
+  if (type instanceof ReadonlyArrayType) {
+    return readonlyArray(stripType(type.type, recursives), { freeze: type.freeze }, type.name)
+  }
+  if (type instanceof BrandType) {
+    return brand(stripType(type.type, recursives), type.predicate, type.brandName, type.description || undefined)
+  }
+  if (type instanceof RefinementType) {
+    return refinement(stripType(type.type, recursives), type.predicate, type.name, type.description || undefined)
+  }
+  if (type instanceof RecursiveType) {
+    if (!recursives.hasOwnProperty(type.name)) {
+      const definition = type.type
+      // the references met while stripping the definition point to the new recursive type
+      recursion(type.name, Self => {
+        recursives[type.name] = Self
+        return stripType(definition, recursives)
+      })
+    }
+    return recursives[type.name]
+  }
+  if (type instanceof AsyncRefinementType) {
+    return asyncRefinement(stripType(type.type, recursives), type.predicate, type.name, type.description || undefined)
+  }
+  return type
+}
+
+function stripObject<P: Props>(props: P, name: string, recursives: StrippedRecursiveTypes): StripType<PropsType<P>> {
+  const type = object(stripProps(props, recursives), name)
+  return new StripType(
+    name,
+    (v, c) => either.map(o => pick(props, o), type.validate(v, c)),
+    type.serialize,
+    type.is,
+    props
+  )
+}
+
+function strip<P: Props>(props: P, name?: string): StripType<PropsType<P>> {
+  return stripObject(props, name || getDefaultObjectTypeName(props), {})
+}
+
 export {
   unsafeCoerce,
   getFunctionName,
   getContextEntry,
   getDefaultContext,
+  validateAt,
+  detachContext,
   getTypeName,
+  stringify,
+  getContextPath,
+  getMessages,
   failures,
   failure,
   success,
@@ -630,30 +1485,47 @@ export {
   ap,
   chain,
   fold,
+  isAborted,
   validateWithContext,
   validate,
   fromValidation,
   is,
+  validateAsync,
+  serialize,
   any,
   string,
   number,
   boolean,
   nullType as null,
   voidType as void,
+  nil,
   objectType as Object,
   functionType as Function,
   literal,
+  keyof,
+  enums,
   instanceOf,
   classOf,
   array,
   union,
+  taggedUnion,
   tuple,
   maybe,
+  optional,
+  getDefaultValue,
+  withDefault,
+  readonly,
+  readonlyArray,
   refinement,
+  brand,
+  asyncRefinement,
   recursion,
   mapping,
   intersection,
   $exact,
-  object
+  object,
+  partial,
+  withStaticType,
+  strip
 }
 
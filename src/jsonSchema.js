@@ -0,0 +1,472 @@
+// @flow
+import type { Type, Props } from './index'
+import * as t from './index'
+import {
+  LiteralType,
+  KeyofType,
+  ArrayType,
+  UnionType,
+  TupleType,
+  IntersectionType,
+  MaybeType,
+  OptionalType,
+  DefaultType,
+  ReadonlyType,
+  ReadonlyArrayType,
+  MappingType,
+  RecursiveType,
+  $ExactType,
+  ObjectType
+} from './index'
+import {
+  IntegerType,
+  RangeType,
+  LengthType,
+  PatternType,
+  FormatType,
+  UniqueItemsType,
+  Integer,
+  Email,
+  UUID,
+  URL,
+  ISODateString,
+  getRange,
+  getLength,
+  getPattern
+} from './refinements'
+
+export type JSONSchema = { [key: string]: mixed };
+
+export type Options = {
+  // called with the types which can't be expressed in JSON Schema (custom refinements, patterns with flags, instanceOf, classOf, Function, custom types)
+  fallback?: (type: Type<any>) => JSONSchema
+};
+
+type Definitions = { [key: string]: JSONSchema };
+
+export const DRAFT_07 = 'http://json-schema.org/draft-07/schema#'
+
+function escapeReferenceToken(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function isRequired(type: Type<any>): boolean {
+  return !(type instanceof OptionalType || type instanceof DefaultType || type instanceof MaybeType)
+}
+
+function getObjectSchema(props: Props, definitions: Definitions, options: Options): JSONSchema {
+  const properties = {}
+  const required = []
+  for (let k in props) {
+    const type = props[k]
+    properties[k] = getSchema(type, definitions, options)
+    if (isRequired(type)) {
+      required.push(k)
+    }
+  }
+  return required.length ? {
+    type: 'object',
+    properties,
+    required
+  } : {
+    type: 'object',
+    properties
+  }
+}
+
+// the infinite bounds are omitted
+function getBounds(minKeyword: string, maxKeyword: string, type: { min: number, max: number }): JSONSchema {
+  const keywords = {}
+  if (type.min > 0) {
+    keywords[minKeyword] = type.min
+  }
+  if (isFinite(type.max)) {
+    keywords[maxKeyword] = type.max
+  }
+  return keywords
+}
+
+function getRangeKeywords(type: RangeType): JSONSchema {
+  const keywords = {}
+  if (isFinite(type.min)) {
+    keywords[type.exclusiveMin ? 'exclusiveMinimum' : 'minimum'] = type.min
+  }
+  if (isFinite(type.max)) {
+    keywords[type.exclusiveMax ? 'exclusiveMaximum' : 'maximum'] = type.max
+  }
+  return keywords
+}
+
+function getSchema(type: Type<any>, definitions: Definitions, options: Options): JSONSchema {
+  switch (type) {
+    case t.any :
+      return {}
+    case t.string :
+      return { type: 'string' }
+    case t.number :
+      return { type: 'number' }
+    case t.boolean :
+      return { type: 'boolean' }
+    case t.null :
+      return { type: 'null' }
+    case t.Object :
+      return { type: 'object' }
+  }
+  if (type instanceof LiteralType) {
+    return { const: type.value }
+  }
+  if (type instanceof KeyofType) {
+    return { enum: type.values }
+  }
+  if (type instanceof $ExactType) {
+    return Object.assign(getObjectSchema(type.props, definitions, options), { additionalProperties: false })
+  }
+  if (type instanceof ObjectType) {
+    return getObjectSchema(type.props, definitions, options)
+  }
+  if (type instanceof ArrayType || type instanceof ReadonlyArrayType) {
+    return {
+      type: 'array',
+      items: getSchema(type.type, definitions, options)
+    }
+  }
+  if (type instanceof TupleType) {
+    return {
+      type: 'array',
+      items: type.types.map(type => getSchema(type, definitions, options)),
+      minItems: type.types.length
+    }
+  }
+  if (type instanceof UnionType) {
+    return { anyOf: type.types.map(type => getSchema(type, definitions, options)) }
+  }
+  if (type instanceof IntersectionType) {
+    return { allOf: type.types.map(type => getSchema(type, definitions, options)) }
+  }
+  if (type instanceof MaybeType) {
+    return { anyOf: [getSchema(type.type, definitions, options), { type: 'null' }] }
+  }
+  if (type instanceof OptionalType) {
+    return getSchema(type.type, definitions, options)
+  }
+  if (type instanceof DefaultType) {
+    const schema = getSchema(type.type, definitions, options)
+    // factories can't be expressed
+    return typeof type.defaultValue === 'function' ? schema : Object.assign({}, schema, { default: t.serialize(type.defaultValue, type.type) })
+  }
+  if (type instanceof ReadonlyType) {
+    return getSchema(type.type, definitions, options)
+  }
+  if (type instanceof MappingType) {
+    const additionalProperties = getSchema(type.codomain, definitions, options)
+    return type.domain === t.string ? {
+      type: 'object',
+      additionalProperties
+    } : {
+      type: 'object',
+      propertyNames: getSchema(type.domain, definitions, options),
+      additionalProperties
+    }
+  }
+  if (type instanceof RecursiveType) {
+    if (!definitions.hasOwnProperty(type.name)) {
+      // registered before the definition is visited in order to stop the recursion
+      definitions[type.name] = {}
+      definitions[type.name] = getSchema(type.type, definitions, options)
+    }
+    return { $ref: `#/definitions/${escapeReferenceToken(type.name)}` }
+  }
+  if (type instanceof IntegerType) {
+    return Object.assign({}, getSchema(type.type, definitions, options), { type: 'integer' })
+  }
+  if (type instanceof RangeType) {
+    return Object.assign({}, getSchema(type.type, definitions, options), getRangeKeywords(type))
+  }
+  if (type instanceof LengthType) {
+    const schema = getSchema(type.type, definitions, options)
+    return Object.assign({}, schema, schema.type === 'array' ? getBounds('minItems', 'maxItems', type) : getBounds('minLength', 'maxLength', type))
+  }
+  if (type instanceof FormatType) {
+    return Object.assign({}, getSchema(type.type, definitions, options), { format: type.format })
+  }
+  // JSON Schema patterns have no flags, while the global and sticky flags don't change what a pattern accepts
+  if (type instanceof PatternType && !/[imsu]/.test(type.regex.flags)) {
+    return Object.assign({}, getSchema(type.type, definitions, options), { pattern: type.regex.source })
+  }
+  if (type instanceof UniqueItemsType) {
+    return Object.assign({}, getSchema(type.type, definitions, options), { uniqueItems: true })
+  }
+  if (options.fallback) {
+    return options.fallback(type)
+  }
+  throw new Error(`Cannot convert ${type.name} to JSON Schema, provide a fallback`)
+}
+
+export function toJSONSchema(type: Type<any>, options?: Options = {}): JSONSchema {
+  const definitions = {}
+  const schema = getSchema(type, definitions, options)
+  const document: JSONSchema = Object.assign({ $schema: DRAFT_07 }, schema)
+  if (Object.keys(definitions).length) {
+    document.definitions = definitions
+  }
+  return document
+}
+
+//
+// from JSON Schema
+//
+
+type Refs = { [key: string]: Type<any> };
+
+const never: Type<any> = new t.Type(
+  'never',
+  (v, c) => t.failure(v, c)
+)
+
+// the formats which are not listed here are annotations only
+const formats: { [key: string]: FormatType } = {
+  email: Email,
+  uuid: UUID,
+  uri: URL,
+  'date-time': ISODateString
+}
+
+function unescapeReferenceToken(token: string): string {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~')
+}
+
+function resolvePointer(root: JSONSchema, ref: string): JSONSchema | boolean {
+  if (ref.charAt(0) !== '#') {
+    throw new Error(`Cannot resolve ${ref}, only local references are supported`)
+  }
+  const tokens = ref.substring(1).split('/').slice(1).map(token => unescapeReferenceToken(decodeURIComponent(token)))
+  let schema: any = root
+  for (let i = 0, len = tokens.length; i < len; i++) {
+    if (schema === null || typeof schema !== 'object' || !schema.hasOwnProperty(tokens[i])) {
+      throw new Error(`Cannot resolve ${ref}`)
+    }
+    schema = schema[tokens[i]]
+  }
+  return schema
+}
+
+function getReferenceName(ref: string): string {
+  // '#' is the root schema
+  const tokens = ref.replace(/^#\/?/, '').split('/')
+  return unescapeReferenceToken(tokens[tokens.length - 1]) || 'Root'
+}
+
+function getLiteralType(value: mixed): Type<any> {
+  if (value === null) {
+    return t.null
+  }
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return t.literal(value)
+  }
+  throw new Error(`Unsupported constant ${JSON.stringify(value)}`)
+}
+
+function getUnionType(types: Array<Type<any>>, name?: string): Type<any> {
+  // null members are turned into a maybe
+  const nonNullTypes = types.filter(type => type !== t.null)
+  const type = nonNullTypes.length === 1 ? nonNullTypes[0] : t.union(t.unsafeCoerce(nonNullTypes), nonNullTypes.length === types.length ? name : undefined)
+  return nonNullTypes.length === types.length ? type : t.maybe(type, name)
+}
+
+function getTitle(schema: JSONSchema | boolean): string | void {
+  return typeof schema === 'object' && typeof schema.title === 'string' ? schema.title : undefined
+}
+
+// each keyword is a refinement of the previous ones, so the document can be exported back by toJSONSchema
+function getStringType(schema: JSONSchema): Type<string> {
+  const { format, minLength, maxLength, pattern } = schema
+  let type: Type<string> = typeof format === 'string' && formats.hasOwnProperty(format) ? formats[format] : t.string
+  if (typeof minLength === 'number') {
+    type = getLength(type, minLength, Infinity, `MinLength<${minLength}>`, 'minLength')
+  }
+  if (typeof maxLength === 'number') {
+    type = getLength(type, 0, maxLength, `MaxLength<${maxLength}>`, 'maxLength')
+  }
+  if (typeof pattern === 'string') {
+    const regex = new RegExp(pattern)
+    type = getPattern(type, regex, `Pattern<${String(regex)}>`)
+  }
+  return type
+}
+
+function getNumberType(type: Type<number>, schema: JSONSchema): Type<number> {
+  const { minimum, exclusiveMinimum, maximum, exclusiveMaximum } = schema
+  if (typeof minimum === 'number') {
+    type = getRange(type, minimum, Infinity, false, false, `Minimum<${minimum}>`, 'minimum')
+  }
+  if (typeof exclusiveMinimum === 'number') {
+    type = getRange(type, exclusiveMinimum, Infinity, true, false, `ExclusiveMinimum<${exclusiveMinimum}>`, 'exclusiveMinimum')
+  }
+  if (typeof maximum === 'number') {
+    type = getRange(type, -Infinity, maximum, false, false, `Maximum<${maximum}>`, 'maximum')
+  }
+  if (typeof exclusiveMaximum === 'number') {
+    type = getRange(type, -Infinity, exclusiveMaximum, false, true, `ExclusiveMaximum<${exclusiveMaximum}>`, 'exclusiveMaximum')
+  }
+  return type
+}
+
+function getPrimitiveType(schema: JSONSchema, primitive: mixed, root: JSONSchema, refs: Refs, name?: string): Type<any> {
+  switch (primitive) {
+    case 'string' :
+      return getStringType(schema)
+    case 'number' :
+      return getNumberType(t.number, schema)
+    case 'integer' :
+      return getNumberType(Integer, schema)
+    case 'boolean' :
+      return t.boolean
+    case 'null' :
+      return t.null
+    case 'array' :
+      return getArrayType(schema, root, refs, name)
+    case 'object' :
+      return getObjectType(schema, root, refs, name)
+  }
+  throw new Error(`Unsupported type ${JSON.stringify(primitive)}`)
+}
+
+function getArrayType(schema: JSONSchema, root: JSONSchema, refs: Refs, name?: string): Type<any> {
+  const items: any = schema.items
+  if (Array.isArray(items)) {
+    return t.tuple(items.map(item => getType(item, root, refs)), name)
+  }
+  return t.array(items === undefined ? t.any : getType(items, root, refs), name)
+}
+
+function getObjectType(schema: JSONSchema, root: JSONSchema, refs: Refs, name?: string): Type<any> {
+  const properties: any = schema.properties
+  const additionalProperties: any = schema.additionalProperties
+  if (properties === undefined) {
+    if (additionalProperties === undefined || additionalProperties === true) {
+      return t.Object
+    }
+    const propertyNames: any = schema.propertyNames
+    const domain = propertyNames === undefined ? t.string : getType(propertyNames, root, refs)
+    return t.mapping(domain, getType(additionalProperties, root, refs), name)
+  }
+  const required: Array<string> = Array.isArray(schema.required) ? (schema.required: any) : []
+  const props = {}
+  for (let k in properties) {
+    const property = properties[k]
+    const type = getType(property, root, refs)
+    if (property !== null && typeof property === 'object' && property.hasOwnProperty('default')) {
+      props[k] = t.withDefault(type, property.default)
+    }
+    else if (required.indexOf(k) === -1) {
+      // maybes already accept undefined
+      props[k] = type instanceof MaybeType ? type : t.optional(type)
+    }
+    else {
+      // a required key can't be missing, while a maybe accepts undefined
+      props[k] = type instanceof MaybeType ? t.union([type.type, t.null], getTitle(property)) : type
+    }
+  }
+  // additional properties described by a schema are not checked
+  return additionalProperties === false ? t.$exact(props, name) : t.object(props, name)
+}
+
+// values are not schemas, so they can't contain references
+const valueKeywords = ['const', 'enum', 'default', 'examples']
+
+function collectReferences(schema: mixed, references: Array<string>): void {
+  if (Array.isArray(schema)) {
+    schema.forEach(member => collectReferences(member, references))
+  }
+  else if (schema !== null && typeof schema === 'object') {
+    for (let k in schema) {
+      if (k === '$ref' && typeof schema[k] === 'string') {
+        references.push(schema[k])
+      }
+      else if (valueKeywords.indexOf(k) === -1) {
+        collectReferences(schema[k], references)
+      }
+    }
+  }
+}
+
+function isRecursiveReference(ref: string, root: JSONSchema): boolean {
+  const visited = {}
+  const references = []
+  collectReferences(resolvePointer(root, ref), references)
+  while (references.length) {
+    const reference = references.pop()
+    if (reference === ref) {
+      return true
+    }
+    if (!visited.hasOwnProperty(reference)) {
+      visited[reference] = true
+      collectReferences(resolvePointer(root, reference), references)
+    }
+  }
+  return false
+}
+
+function getReferenceType(ref: string, root: JSONSchema, refs: Refs): Type<any> {
+  if (!refs.hasOwnProperty(ref)) {
+    const schema = resolvePointer(root, ref)
+    if (isRecursiveReference(ref, root)) {
+      refs[ref] = t.recursion(getReferenceName(ref), self => {
+        // the self references are resolved to the recursive type
+        refs[ref] = self
+        return getType(schema, root, refs)
+      })
+    }
+    else {
+      refs[ref] = getType(schema, root, refs)
+    }
+  }
+  return refs[ref]
+}
+
+function getType(schema: JSONSchema | boolean, root: JSONSchema, refs: Refs): Type<any> {
+  if (schema === true) {
+    return t.any
+  }
+  if (schema === false) {
+    return never
+  }
+  const name = getTitle(schema)
+  if (typeof schema.$ref === 'string') {
+    return getReferenceType(schema.$ref, root, refs)
+  }
+  if (schema.hasOwnProperty('const')) {
+    return getLiteralType(schema.const)
+  }
+  if (Array.isArray(schema.enum)) {
+    const values: Array<any> = schema.enum
+    // enums are faster than unions of literals
+    return values.length > 1 && values.every(value => typeof value === 'string') ?
+      t.enums(values, name) :
+      getUnionType(values.map(getLiteralType), name)
+  }
+  const anyOf: any = schema.anyOf || schema.oneOf
+  if (Array.isArray(anyOf)) {
+    return getUnionType(anyOf.map(member => getType(member, root, refs)), name)
+  }
+  const allOf: any = schema.allOf
+  if (Array.isArray(allOf)) {
+    const types = allOf.map(member => getType(member, root, refs))
+    return types.length === 1 ? types[0] : t.intersection(t.unsafeCoerce(types), name)
+  }
+  if (Array.isArray(schema.type)) {
+    const object: JSONSchema = schema
+    return getUnionType(schema.type.map(primitive => getPrimitiveType(object, primitive, root, refs)), name)
+  }
+  if (schema.type !== undefined) {
+    return getPrimitiveType(schema, schema.type, root, refs, name)
+  }
+  if (schema.properties !== undefined) {
+    return getObjectType(schema, root, refs, name)
+  }
+  return t.any
+}
+
+export function fromJSONSchema(schema: JSONSchema): Type<any> {
+  return getType(schema, schema, {})
+}
@@ -0,0 +1,162 @@
+// @flow
+import type { Validate, Serialize, Is, Predicate, ErrorDescription } from './index'
+import * as t from './index'
+import { Type, RefinementType } from './index'
+
+// common refinements, their parameters are stored on the types in order to be read by tools (e.g. toJSONSchema)
+
+export class IntegerType extends RefinementType<number> {}
+
+export class RangeType extends RefinementType<number> {
+  min: number;
+  max: number;
+  exclusiveMin: boolean;
+  exclusiveMax: boolean;
+  constructor(name: string, validate: Validate<number>, serialize: Serialize<number>, is: Is, type: Type<any>, predicate: Predicate<number>, description: ?ErrorDescription, min: number, max: number, exclusiveMin: boolean, exclusiveMax: boolean) {
+    super(name, validate, serialize, is, type, predicate, description)
+    this.min = min
+    this.max = max
+    this.exclusiveMin = exclusiveMin
+    this.exclusiveMax = exclusiveMax
+  }
+}
+
+// the length of a string or of an array
+export class LengthType<T> extends RefinementType<T> {
+  min: number;
+  max: number;
+  constructor(name: string, validate: Validate<T>, serialize: Serialize<T>, is: Is, type: Type<any>, predicate: Predicate<T>, description: ?ErrorDescription, min: number, max: number) {
+    super(name, validate, serialize, is, type, predicate, description)
+    this.min = min
+    this.max = max
+  }
+}
+
+export class PatternType extends RefinementType<string> {
+  regex: RegExp;
+  constructor(name: string, validate: Validate<string>, serialize: Serialize<string>, is: Is, type: Type<any>, predicate: Predicate<string>, description: ?ErrorDescription, regex: RegExp) {
+    super(name, validate, serialize, is, type, predicate, description)
+    this.regex = regex
+  }
+}
+
+// a pattern with a well known name (the JSON Schema format), e.g. 'email'
+export class FormatType extends PatternType {
+  format: string;
+  constructor(name: string, validate: Validate<string>, serialize: Serialize<string>, is: Is, type: Type<any>, predicate: Predicate<string>, description: ?ErrorDescription, regex: RegExp, format: string) {
+    super(name, validate, serialize, is, type, predicate, description, regex)
+    this.format = format
+  }
+}
+
+export class UniqueItemsType<T> extends RefinementType<T> {}
+
+//
+// numbers
+//
+
+const integer = t.refinement(t.number, n => n % 1 === 0, 'Integer', { code: 'integer' })
+
+export const Integer: IntegerType = new IntegerType(integer.name, integer.validate, integer.serialize, integer.is, integer.type, integer.predicate, integer.description)
+
+// getRange, getLength and getPattern refine a given type (e.g. an Integer or a format), fromJSONSchema stacks them
+export function getRange(type: Type<number>, min: number, max: number, exclusiveMin: boolean, exclusiveMax: boolean, name: string, code: string): RangeType {
+  const refinement = t.refinement(
+    type,
+    n => (exclusiveMin ? n > min : n >= min) && (exclusiveMax ? n < max : n <= max),
+    name,
+    { code }
+  )
+  return new RangeType(refinement.name, refinement.validate, refinement.serialize, refinement.is, type, refinement.predicate, refinement.description, min, max, exclusiveMin, exclusiveMax)
+}
+
+export const PositiveNumber: RangeType = getRange(t.number, 0, Infinity, true, false, 'PositiveNumber', 'positive')
+
+// the bounds are included
+export function range(min: number, max: number, name?: string): RangeType {
+  return getRange(t.number, min, max, false, false, name || `Range<${min}, ${max}>`, 'range')
+}
+
+//
+// lengths
+//
+
+export function getLength<T: string | Array<any>>(type: Type<T>, min: number, max: number, name: string, code: string): LengthType<T> {
+  const refinement = t.refinement(type, a => a.length >= min && a.length <= max, name, { code })
+  return new LengthType(refinement.name, refinement.validate, refinement.serialize, refinement.is, type, refinement.predicate, refinement.description, min, max)
+}
+
+export function minLength(min: number, name?: string): LengthType<string> {
+  return getLength(t.string, min, Infinity, name || `MinLength<${min}>`, 'minLength')
+}
+
+export function maxLength(max: number, name?: string): LengthType<string> {
+  return getLength(t.string, 0, max, name || `MaxLength<${max}>`, 'maxLength')
+}
+
+//
+// patterns
+//
+
+export function getPattern(type: Type<string>, regex: RegExp, name: string): PatternType {
+  // with the global and sticky flags `test` would start from the `lastIndex` of the previous match
+  const stateless = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''))
+  const refinement = t.refinement(type, s => stateless.test(s), name, { code: 'pattern' })
+  return new PatternType(refinement.name, refinement.validate, refinement.serialize, refinement.is, type, refinement.predicate, refinement.description, regex)
+}
+
+export function pattern(regex: RegExp, name?: string): PatternType {
+  return getPattern(t.string, regex, name || `Pattern<${String(regex)}>`)
+}
+
+function getFormat(regex: RegExp, format: string, name: string, predicate?: Predicate<string>): FormatType {
+  const type = t.refinement(t.string, s => regex.test(s) && (!predicate || predicate(s)), name, { code: format })
+  return new FormatType(type.name, type.validate, type.serialize, type.is, type.type, type.predicate, type.description, regex, format)
+}
+
+// a pragmatic subset of RFC 5322
+export const Email: FormatType = getFormat(
+  /^[^\s@"<>()[\]\\,;:]+@[^\s@"<>()[\]\\,;:_]+(\.[^\s@"<>()[\]\\,;:_]+)+$/,
+  'email',
+  'Email'
+)
+
+export const UUID: FormatType = getFormat(
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  'uuid',
+  'UUID'
+)
+
+// absolute URLs with a scheme and a host, e.g. https://example.com/path
+export const URL: FormatType = getFormat(
+  /^[a-z][a-z\d+\-.]*:\/\/[^\s/?#]+[^\s]*$/i,
+  'uri',
+  'URL'
+)
+
+// an ISO 8601 date-time with an offset, e.g. 2017-01-02T03:04:05Z
+export const ISODateString: FormatType = getFormat(
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  'date-time',
+  'ISODateString',
+  s => !isNaN(new Date(s).getTime())
+)
+
+//
+// arrays
+//
+
+export function nonEmptyArray<T>(type: Type<T>, name?: string): LengthType<Array<T>> {
+  return getLength(t.array(type), 1, Infinity, name || `NonEmptyArray<${t.getTypeName(type)}>`, 'nonEmpty')
+}
+
+// the items are compared with ===
+export function uniqueItems<T>(type: Type<T>, name?: string): UniqueItemsType<Array<T>> {
+  const refinement = t.refinement(
+    t.array(type),
+    as => as.every((a, i) => as.indexOf(a) === i),
+    name || `UniqueItems<${t.getTypeName(type)}>`,
+    { code: 'uniqueItems' }
+  )
+  return new UniqueItemsType(refinement.name, refinement.validate, refinement.serialize, refinement.is, refinement.type, refinement.predicate, refinement.description)
+}
@@ -1,28 +1,336 @@
 // @flow
 import type { Reporter } from './Reporter'
-import type { Context } from '../index'
-import { fold, getFunctionName, isFailure } from '../index'
+import type { Context, ValidationError, Type } from '../index'
+import * as t from '../index'
+import {
+  fold,
+  stringify,
+  getContextPath,
+  getMessages,
+  isFailure,
+  fromFailure,
+  ValidationFailedError,
+  LiteralType,
+  KeyofType,
+  InstanceOfType,
+  ClassType,
+  ArrayType,
+  UnionType,
+  TaggedUnionType,
+  TupleType,
+  IntersectionType,
+  MaybeType,
+  OptionalType,
+  DefaultType,
+  ReadonlyType,
+  ReadonlyArrayType,
+  MappingType,
+  RefinementType,
+  AsyncRefinementType,
+  RecursiveType,
+  $ExactType,
+  ObjectType
+} from '../index'
+import { CompiledType } from '../compile'
 
-function stringify(value: mixed): string {
-  return typeof value === 'function' ? getFunctionName(value) : JSON.stringify(value)
+//
+// field paths
+//
+
+// the types which validate a value calling the validate of the types they wrap, without adding an entry to the context
+function unwrap(type: Type<any>): Type<any> {
+  return type instanceof MaybeType ||
+    type instanceof OptionalType ||
+    type instanceof DefaultType ||
+    type instanceof ReadonlyType ||
+    type instanceof RefinementType ||
+    type instanceof AsyncRefinementType ||
+    type instanceof RecursiveType ||
+    type instanceof CompiledType ? unwrap(type.type) : type
+}
+
+type Field = { key: string, index: boolean };
+
+// the entries added by the members of unions and intersections are skipped since they don't describe the value,
+// while the tag of a tagged union is a prop of the value
+function getFields(context: Context): Array<Field> {
+  const fields = []
+  for (let i = 1, len = context.length; i < len; i++) {
+    const parent = unwrap(context[i - 1].type)
+    const isMember = parent instanceof TaggedUnionType ? context[i].key !== parent.tagKey : parent instanceof UnionType || parent instanceof IntersectionType
+    if (!isMember) {
+      fields.push({
+        key: context[i].key,
+        index: parent instanceof ArrayType || parent instanceof ReadonlyArrayType || parent instanceof TupleType
+      })
+    }
+  }
+  return fields
+}
+
+// returns the keys of the value's props (or items) leading to the invalid value
+export function getFieldPath(context: Context): Array<string> {
+  return getFields(context).map(({ key }) => key)
+}
+
+function escapeReferenceToken(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+// RFC 6901, e.g. /items/3/price
+export function getJSONPointer(context: Context): string {
+  return getFields(context).map(({ key }) => `/${escapeReferenceToken(key)}`).join('')
+}
+
+// e.g. items[3].price, the keys which are not identifiers are quoted: items[3]["unit price"]
+export function getDottedPath(context: Context): string {
+  return getFields(context).map(({ key, index }, i) => {
+    if (index) {
+      return `[${key}]`
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+      return i === 0 ? key : `.${key}`
+    }
+    return `[${JSON.stringify(key)}]`
+  }).join('')
+}
+
+//
+// message catalogs
+//
+
+// maps a message key to a template, the placeholders {value}, {type}, {path}, {field} and {message} are interpolated
+export type Catalog = { [key: string]: string };
+
+// the messages of PathReporter
+export const defaultCatalog: Catalog = {
+  message: '{message} (value {value} supplied to {path})',
+  default: 'Invalid value {value} supplied to {path}'
+}
+
+// the messages of ErrorTreeReporter and PointerReporter
+export const fieldCatalog: Catalog = {
+  message: '{message}',
+  default: 'Invalid value {value} supplied to {type}'
 }
 
-function getContextPath(context: Context): string {
-  return context.map(({ key, type }) => `${key}: ${type.name}`).join('/')
+// returns the type which rejected the value: the wrappers delegate to the types they wrap,
+// while a refinement rejects the values accepted by the type it refines
+function getFailedType(type: Type<any>, value: mixed): Type<any> {
+  if (type instanceof MaybeType ||
+    type instanceof OptionalType ||
+    type instanceof DefaultType ||
+    type instanceof ReadonlyType ||
+    type instanceof RecursiveType ||
+    type instanceof CompiledType) {
+    return getFailedType(type.type, value)
+  }
+  if ((type instanceof RefinementType || type instanceof AsyncRefinementType) && !t.is(value, type.type)) {
+    return getFailedType(type.type, value)
+  }
+  return type
 }
 
-export const PathReporter: Reporter<Array<string>> = {
-  report: validation => fold(
-    es => es.map(e => `Invalid value ${stringify(e.value)} supplied to ${getContextPath(e.context)}`),
-    () => ['No errors!'],
-    validation
-  )
+// returns the kind of the type which rejected the value, e.g. 'string', 'array', 'refinement'
+export function getMessageKind(e: ValidationError): string {
+  const context = e.context
+  const type = getFailedType(context[context.length - 1].type, e.value)
+  const parent = context.length > 1 ? unwrap(context[context.length - 2].type) : null
+  switch (type) {
+    case t.any :
+      return 'any'
+    case t.string :
+      return 'string'
+    case t.number :
+      return 'number'
+    case t.boolean :
+      return 'boolean'
+    case t.null :
+      return 'null'
+    case t.void :
+      return 'void'
+    case t.Object :
+      return 'Object'
+    case t.Function :
+      return 'Function'
+    case t.nil :
+      // an additional prop of an $exact type
+      if (parent instanceof $ExactType) {
+        return '$exact'
+      }
+  }
+  if (parent instanceof TaggedUnionType && context[context.length - 1].key === parent.tagKey) {
+    return 'taggedUnion'
+  }
+  if (type instanceof LiteralType) {
+    return 'literal'
+  }
+  if (type instanceof KeyofType) {
+    return 'keyof'
+  }
+  if (type instanceof InstanceOfType) {
+    return 'instanceOf'
+  }
+  if (type instanceof ClassType) {
+    return 'classOf'
+  }
+  if (type instanceof ArrayType || type instanceof ReadonlyArrayType) {
+    return 'array'
+  }
+  if (type instanceof TupleType) {
+    return 'tuple'
+  }
+  if (type instanceof UnionType) {
+    return 'union'
+  }
+  if (type instanceof IntersectionType) {
+    return 'intersection'
+  }
+  if (type instanceof MappingType) {
+    return 'mapping'
+  }
+  if (type instanceof RefinementType) {
+    return 'refinement'
+  }
+  if (type instanceof AsyncRefinementType) {
+    return 'asyncRefinement'
+  }
+  if (type instanceof ObjectType || type instanceof $ExactType) {
+    return 'object'
+  }
+  return 'custom'
 }
 
+// the keys are looked up in order: the code of the error, the name of the rejecting refinement,
+// 'message' (if the error has a message), the kind of the rejecting type and 'default'
+function getTemplate(e: ValidationError, catalog: Catalog): string {
+  const kind = getMessageKind(e)
+  const keys = [e.code]
+  if (kind === 'refinement' || kind === 'asyncRefinement') {
+    keys.push(getFailedType(e.context[e.context.length - 1].type, e.value).name)
+  }
+  if (e.message) {
+    keys.push('message')
+  }
+  keys.push(kind, 'default')
+  for (let i = 0, len = keys.length; i < len; i++) {
+    const key = keys[i]
+    if (key && catalog.hasOwnProperty(key)) {
+      return catalog[key]
+    }
+  }
+  return defaultCatalog.default
+}
+
+export function formatMessage(e: ValidationError, catalog: Catalog): string {
+  const params = {
+    value: stringify(e.value),
+    type: e.context[e.context.length - 1].type.name,
+    path: getContextPath(e.context),
+    field: getDottedPath(e.context),
+    message: e.message || ''
+  }
+  return getTemplate(e, catalog).replace(/\{(\w+)\}/g, (placeholder, name) => params.hasOwnProperty(name) ? params[name] : placeholder)
+}
+
+//
+// reporters
+//
+
+export function getPathReporter(catalog: Catalog): Reporter<Array<string>> {
+  return {
+    report: validation => fold(
+      es => getMessages(es, e => formatMessage(e, catalog)),
+      () => ['No errors!'],
+      validation
+    )
+  }
+}
+
+export const PathReporter: Reporter<Array<string>> = getPathReporter(defaultCatalog)
+
 export const ThrowReporter: Reporter<void> = {
   report: validation => {
     if (isFailure(validation)) {
-      throw PathReporter.report(validation).join('\n')
+      const errors = fromFailure(validation)
+      // the first entry of a context holds the root type
+      throw new ValidationFailedError(errors, errors[0].context[0].type)
     }
   }
 }
+
+export type ErrorTree = { [key: string]: ErrorTree | Array<string> };
+
+// the key holding the messages of a node which has children as well (or of the root)
+export const ERRORS_KEY = '_errors'
+
+// the keys come from the value, so they may clash with the props of Object.prototype (e.g. '__proto__', 'constructor')
+function getChild(node: Object, k: string): any {
+  return Object.prototype.hasOwnProperty.call(node, k) ? node[k] : undefined
+}
+
+function setChild(node: Object, k: string, child: mixed): void {
+  Object.defineProperty(node, k, { value: child, enumerable: true, writable: true, configurable: true })
+}
+
+function addMessage(tree: ErrorTree, path: Array<string>, message: string): void {
+  let node: Object = tree
+  for (let i = 0, len = path.length; i < len; i++) {
+    const k = path[i]
+    const last = i === len - 1
+    const child = getChild(node, k)
+    if (last && (child === undefined || Array.isArray(child))) {
+      setChild(node, k, (child || []).concat(message))
+      return
+    }
+    if (child === undefined) {
+      setChild(node, k, {})
+    }
+    else if (Array.isArray(child)) {
+      setChild(node, k, { [ERRORS_KEY]: child })
+    }
+    node = node[k]
+  }
+  setChild(node, ERRORS_KEY, (getChild(node, ERRORS_KEY) || []).concat(message))
+}
+
+// the nested errors of a union are not reported: they describe the members, not the value
+export function getErrorTree(errors: Array<ValidationError>, catalog?: Catalog = fieldCatalog): ErrorTree {
+  const tree = {}
+  errors.forEach(e => addMessage(tree, getFieldPath(e.context), formatMessage(e, catalog)))
+  return tree
+}
+
+export function getErrorTreeReporter(catalog: Catalog): Reporter<ErrorTree> {
+  return {
+    report: validation => fold(
+      es => getErrorTree(es, catalog),
+      () => ({}),
+      validation
+    )
+  }
+}
+
+export const ErrorTreeReporter: Reporter<ErrorTree> = getErrorTreeReporter(fieldCatalog)
+
+export type ErrorLocation = {
+  pointer: string,
+  path: string,
+  message: string
+};
+
+export function getPointerReporter(catalog: Catalog): Reporter<Array<ErrorLocation>> {
+  return {
+    report: validation => fold(
+      es => es.map(e => ({
+        pointer: getJSONPointer(e.context),
+        path: getDottedPath(e.context),
+        message: formatMessage(e, catalog)
+      })),
+      () => [],
+      validation
+    )
+  }
+}
+
+export const PointerReporter: Reporter<Array<ErrorLocation>> = getPointerReporter(fieldCatalog)
@@ -48,4 +48,9 @@ describe('$exact', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.$exact({ a: number2 })
+    assert.deepEqual(t.serialize({ a: 2 }, T), { a: 1 })
+  })
+
 })
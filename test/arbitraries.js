@@ -0,0 +1,85 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { number2 } from './helpers'
+import { generate, sample, seed } from '../src/arbitraries'
+
+function assertValid<T>(type: t.Type<T>, options?: Object): void {
+  sample(type, 50, Object.assign({ random: seed(1) }, options)).forEach(value => {
+    assert.ok(t.is(value, type), `${JSON.stringify(value)} is not a valid ${type.name}`)
+  })
+}
+
+describe('arbitraries', () => {
+
+  it('should generate valid irreducibles and literals', () => {
+    assertValid(t.string)
+    assertValid(t.number)
+    assertValid(t.boolean)
+    assertValid(t.null)
+    assertValid(t.nil)
+    assertValid(t.any)
+    assertValid(t.literal('a'))
+    assertValid(t.enums(['a', 'b', 'c']))
+  })
+
+  it('should generate valid combinators', () => {
+    assertValid(t.array(t.number))
+    assertValid(t.tuple([t.string, t.number]))
+    assertValid(t.union([t.literal('a'), t.literal('b'), t.number]))
+    assertValid(t.intersection([t.object({ a: t.number }), t.partial({ b: t.string })]))
+    assertValid(t.maybe(t.string))
+    assertValid(t.mapping(t.union([t.literal('a'), t.literal('b')]), t.boolean))
+    assertValid(t.$exact({ a: t.string, b: t.optional(t.number), c: t.withDefault(t.number, 0) }))
+    assertValid(t.taggedUnion('type', [
+      t.object({ type: t.literal('a'), a: t.number }),
+      t.object({ type: t.literal('b'), b: t.string })
+    ]))
+  })
+
+  it('should generate valid refinements by retrying', () => {
+    assertValid(t.refinement(t.number, n => n >= 0))
+    assert.throws(() => {
+      generate(t.refinement(t.number, () => false, 'Never'), { random: seed(1), maxRetries: 10 })
+    }, /Cannot generate a value for Never after 10 retries, provide a custom generator/)
+  })
+
+  it('should use the custom generators', () => {
+    const Even = t.refinement(t.number, n => n % 2 === 0, 'Even')
+    const custom = type => type === Even ? random => 2 * Math.floor(random() * 100) : null
+    assertValid(t.array(Even), { custom })
+    assertValid(t.object({ a: number2 }), { custom: type => type === number2 ? () => 2 : null })
+    assert.throws(() => {
+      generate(number2)
+    }, /Cannot generate a value for number2, provide a custom generator/)
+  })
+
+  it('should limit the depth of recursive types', () => {
+    const T = t.recursion('T', self => t.object({
+      a: t.number,
+      b: t.maybe(self),
+      c: t.array(self)
+    }))
+    const depth = value => 1 + Math.max(value.b ? depth(value.b) : 0, ...value.c.map(depth))
+    sample(T, 50, { random: seed(2), maxDepth: 2 }).forEach(value => {
+      assert.ok(t.is(value, T))
+      assert.ok(depth(value) <= 3)
+    })
+    const U = t.recursion('U', self => t.union([t.number, t.tuple([self, self])]))
+    assertValid(U)
+    const V = t.recursion('V', self => t.object({ a: self }))
+    assert.throws(() => {
+      generate(V)
+    }, /Cannot generate a value for V within 3 nested recursive types/)
+  })
+
+  it('should be deterministic given a seed', () => {
+    const T = t.array(t.object({ a: t.string, b: t.number }))
+    assert.deepEqual(generate(T, { random: seed(42) }), generate(T, { random: seed(42) }))
+  })
+
+})
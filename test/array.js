@@ -41,4 +41,9 @@ describe('array', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.array(number2)
+    assert.deepEqual(t.serialize([2, 4, 6], T), [1, 2, 3])
+  })
+
 })
@@ -0,0 +1,108 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void | Promise<void>) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+const takenUsernames = ['giulio']
+
+function delay<A>(a: A): Promise<A> {
+  return new Promise(resolve => setTimeout(() => resolve(a), 5))
+}
+
+const Username = t.asyncRefinement(t.string, s => delay(takenUsernames.indexOf(s) === -1), 'Username', {
+  message: 'is already taken',
+  code: 'username.taken'
+})
+
+describe('asyncRefinement', () => {
+
+  it('should succeed validating a valid value', () => {
+    return t.validateAsync('gcanti', Username).then(assertValidationSuccess)
+  })
+
+  it('should return the same reference if validation succeeded', () => {
+    const T = t.asyncRefinement(t.Object, () => delay(true))
+    const value = {}
+    return t.validateAsync(value, T).then(validation => {
+      assert.strictEqual(t.fromSuccess(validation), value)
+    })
+  })
+
+  it('should return a new reference if validation succeeded and something changed', () => {
+    const T = t.object({ a: t.asyncRefinement(number2, n => delay(n === 2)) })
+    return t.validateAsync({ a: 1 }, T).then(validation => {
+      assert.deepEqual(t.fromSuccess(validation), { a: 2 })
+    })
+  })
+
+  it('should fail validating an invalid value', () => {
+    return t.validateAsync('giulio', Username).then(validation => {
+      assertValidationFailure(validation, [
+        'is already taken (value "giulio" supplied to : Username)'
+      ])
+      assert.strictEqual(t.fromFailure(validation)[0].code, 'username.taken')
+    })
+  })
+
+  it('should merge the async errors with the other errors', () => {
+    const T = t.object({ username: Username, age: t.number })
+    return t.validateAsync({ username: 'giulio' }, T).then(validation => {
+      assertValidationFailure(validation, [
+        'Invalid value undefined supplied to : { username: Username, age: number }/age: number',
+        'is already taken (value "giulio" supplied to : { username: Username, age: number }/username: Username)'
+      ])
+    })
+  })
+
+  it('should discard the checks of the rejected union members', () => {
+    const T = t.union([t.object({ username: Username, age: t.number }), t.object({ username: t.string })])
+    return t.validateAsync({ username: 'giulio' }, T).then(assertValidationSuccess)
+  })
+
+  it('should run the checks of sibling props and items at the same time', () => {
+    let running = 0
+    let maxRunning = 0
+    const Id = t.asyncRefinement(t.number, () => {
+      running++
+      maxRunning = Math.max(running, maxRunning)
+      return delay(true).then(ok => {
+        running--
+        return ok
+      })
+    })
+    const T = t.object({ a: Id, b: t.array(Id) })
+    return t.validateAsync({ a: 1, b: [2, 3, 4] }, T).then(validation => {
+      assertValidationSuccess(validation)
+      assert.strictEqual(maxRunning, 4)
+      maxRunning = 0
+      return t.validateAsync({ a: 1, b: [2, 3, 4] }, T, { concurrency: 2 })
+    }).then(validation => {
+      assertValidationSuccess(validation)
+      assert.strictEqual(maxRunning, 2)
+    })
+  })
+
+  it('should reject if a predicate rejects', () => {
+    const T = t.asyncRefinement(t.number, () => Promise.reject(new Error('network error')))
+    return t.validateAsync(1, T).then(() => {
+      throw new Error('should reject')
+    }, e => {
+      assert.strictEqual(e.message, 'network error')
+    })
+  })
+
+  it('should fail validating synchronously', () => {
+    assertValidationFailure(t.validate('gcanti', Username), [
+      'requires validateAsync (value "gcanti" supplied to : Username)'
+    ])
+  })
+
+})
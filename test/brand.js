@@ -0,0 +1,60 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import type { Brand } from '../src/index'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+type EmailString = Brand<string, 'Email'>;
+
+describe('brand', () => {
+
+  const Email: t.BrandType<EmailString> = t.brand(t.string, s => s.indexOf('@') !== -1, 'Email')
+
+  it('should succeed validating a valid value', () => {
+    assertValidationSuccess(t.validate('a@b.com', Email))
+  })
+
+  it('should fail validating an invalid value', () => {
+    assertValidationFailure(t.validate('a', Email), [
+      'Invalid value "a" supplied to : Email'
+    ])
+    assertValidationFailure(t.validate(1, Email), [
+      'Invalid value 1 supplied to : Email'
+    ])
+  })
+
+  it('should attach the description to the failure', () => {
+    const T = t.brand(t.number, n => n % 1 === 0, 'UserId', { message: 'must be an integer', code: 'UserId' })
+    assertValidationFailure(t.validate(1.5, T), [
+      'must be an integer (value 1.5 supplied to : UserId)'
+    ])
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.brand(number2, n => n >= 0, 'Positive')
+    assert.strictEqual(t.serialize(2, T), 1)
+  })
+
+  it('should be a refinement', () => {
+    assert.ok(Email instanceof t.RefinementType)
+    assert.strictEqual(Email.brandName, 'Email')
+    assert.strictEqual(Email.type, t.string)
+  })
+
+  it('should keep the brand stripping additional props', () => {
+    const T = t.strip({ a: t.brand(t.object({ b: t.string }), o => o.b !== '', 'A') })
+    assert.deepEqual(t.fromValidation({ a: { b: 's', c: 1 } }, T), { a: { b: 's' } })
+    assertValidationFailure(t.validate({ a: { b: '', c: 1 } }, T), [
+      'Invalid value {"b":"","c":1} supplied to : { a: A }/a: A'
+    ])
+  })
+
+})
@@ -0,0 +1,89 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  getMessageKind,
+  formatMessage,
+  getPathReporter,
+  getErrorTreeReporter,
+  getPointerReporter
+} from '../src/reporters/default'
+
+function getKinds(value: mixed, type: t.Type<any>): Array<string> {
+  return t.fromFailure(t.validate(value, type)).map(getMessageKind)
+}
+
+const it_IT = {
+  string: '{field}: {value} non è una stringa',
+  number: '{field}: {value} non è un numero',
+  $exact: '{field}: chiave non ammessa',
+  'string.minLength': '{field}: troppo corta',
+  Even: '{value} non è pari',
+  default: '{field}: valore non valido'
+}
+
+describe('message catalogs', () => {
+
+  it('should return the kind of the rejecting type', () => {
+    assert.deepEqual(getKinds({ a: 1, b: 's', c: 1, d: 'x', e: 1, f: [1], g: 1 }, t.object({
+      a: t.string,
+      b: t.number,
+      c: t.maybe(t.literal('c')),
+      d: t.$exact({}),
+      e: t.array(t.string),
+      f: t.tuple([t.string]),
+      g: t.union([t.string, t.boolean])
+    })), ['string', 'number', 'literal', 'object', 'array', 'string', 'union'])
+    assert.deepEqual(getKinds({ a: 1, b: 2 }, t.$exact({ a: t.number })), ['$exact'])
+    assert.deepEqual(getKinds({ type: 'c' }, t.taggedUnion('type', [t.object({ type: t.literal('a') })])), ['taggedUnion'])
+  })
+
+  it('should tell a refinement from the type it refines', () => {
+    const Positive = t.refinement(t.number, n => n >= 0, 'Positive')
+    assert.deepEqual(getKinds(-1, Positive), ['refinement'])
+    assert.deepEqual(getKinds('s', Positive), ['number'])
+    assert.deepEqual(getKinds('s', t.maybe(Positive)), ['number'])
+  })
+
+  it('should interpolate the params', () => {
+    const e = t.fromFailure(t.validate({ a: [1] }, t.object({ a: t.array(t.string) })))[0]
+    assert.strictEqual(
+      formatMessage(e, { default: '{value}|{type}|{path}|{field}|{unknown}' }),
+      '1|string|: { a: Array<string> }/a: Array<string>/0: string|a[0]|{unknown}'
+    )
+  })
+
+  it('should look up the code, the refinement name, the kind and the default key', () => {
+    const Password = t.refinement(t.string, s => s.length >= 8, 'Password', { message: 'too short', code: 'string.minLength' })
+    const Even = t.refinement(t.number, n => n % 2 === 0, 'Even')
+    const T = t.object({ a: t.string, b: Password, c: Even, d: t.boolean, e: t.number })
+    const reporter = getPathReporter(it_IT)
+    assert.deepEqual(reporter.report(t.validate({ a: 1, b: 'abc', c: 3, d: 1, e: 's' }, T)), [
+      'a: 1 non è una stringa',
+      'b: troppo corta',
+      '3 non è pari',
+      'd: valore non valido',
+      'e: "s" non è un numero'
+    ])
+  })
+
+  it('should use the message of the error before the kind', () => {
+    const T = t.refinement(t.string, s => s.length > 0, 'NonEmpty', { message: 'is required' })
+    assert.deepEqual(getPathReporter({ message: '{message}!', refinement: 'no' }).report(t.validate('', T)), ['is required!'])
+  })
+
+  it('should be used by the field reporters', () => {
+    const T = t.$exact({ a: t.string })
+    assert.deepEqual(getErrorTreeReporter(it_IT).report(t.validate({ a: 1, b: 2 }, T)), {
+      a: ['a: 1 non è una stringa']
+    })
+    assert.deepEqual(getPointerReporter(it_IT).report(t.validate({ a: 's', b: 2 }, T)), [
+      { pointer: '/b', path: 'b', message: 'b: chiave non ammessa' }
+    ])
+  })
+
+})
@@ -0,0 +1,102 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { assertValidationFailure } from './helpers'
+import {
+  NumberFromString,
+  IntegerFromString,
+  BooleanFromString,
+  DateFromISOString,
+  ArrayFromCommaList,
+  arrayFromCommaList,
+  JSONFromString,
+  jsonFromString
+} from '../src/coercions'
+
+function assertParse(type: t.Type<any>, values: Array<[string, mixed]>) {
+  values.forEach(([s, expected]) => assert.deepEqual(t.fromValidation(s, type), expected, s))
+}
+
+function assertReject(type: t.Type<any>, values: Array<mixed>) {
+  values.forEach(v => assert.ok(!t.is(v, type), String(v)))
+}
+
+describe('coercions', () => {
+
+  it('NumberFromString', () => {
+    assertParse(NumberFromString, [['1', 1], ['-1.5', -1.5], ['1e3', 1000], ['.5', 0.5], ['+2', 2]])
+    assertReject(NumberFromString, ['', ' ', ' 1', 'a', '1a', 'NaN', 'Infinity', '0x10', '1e400', 1])
+    assert.strictEqual(t.serialize(1.5, NumberFromString), '1.5')
+  })
+
+  it('IntegerFromString', () => {
+    assertParse(IntegerFromString, [['1', 1], ['-3', -3], ['1e3', 1000]])
+    assertReject(IntegerFromString, ['1.5', '', 'a'])
+    assert.strictEqual(t.serialize(3, IntegerFromString), '3')
+  })
+
+  it('BooleanFromString', () => {
+    assertParse(BooleanFromString, [['true', true], ['false', false]])
+    assertReject(BooleanFromString, ['', 'TRUE', '1', 'yes', true])
+    assert.strictEqual(t.serialize(false, BooleanFromString), 'false')
+  })
+
+  it('DateFromISOString', () => {
+    assertParse(DateFromISOString, [
+      ['2017-01-02', new Date(Date.UTC(2017, 0, 2))],
+      ['2017-01-02T03:04:05.006Z', new Date(Date.UTC(2017, 0, 2, 3, 4, 5, 6))],
+      ['2017-01-02T03:04+01:00', new Date(Date.UTC(2017, 0, 2, 2, 4))]
+    ])
+    assertReject(DateFromISOString, ['', '2017', '2017-13-01', '2020-02-30', '2019-02-29T00:00Z', '2017-04-31', 'Mon, 02 Jan 2017', 1483315200000])
+    assertParse(DateFromISOString, [['2020-02-29', new Date(Date.UTC(2020, 1, 29))]])
+    assert.strictEqual(t.serialize(new Date(Date.UTC(2017, 0, 2)), DateFromISOString), '2017-01-02T00:00:00.000Z')
+  })
+
+  it('ArrayFromCommaList', () => {
+    assertParse(ArrayFromCommaList, [['', []], ['a', ['a']], ['a, b ,c', ['a', 'b', 'c']]])
+    const T = arrayFromCommaList(NumberFromString)
+    assertParse(T, [['1,2', [1, 2]]])
+    assertValidationFailure(t.validate('1,a,', T), [
+      'Invalid value "a" supplied to : ArrayFromCommaList<NumberFromString>/1: NumberFromString',
+      'Invalid value "" supplied to : ArrayFromCommaList<NumberFromString>/2: NumberFromString'
+    ])
+    assert.strictEqual(t.serialize([1, 2], T), '1,2')
+  })
+
+  it('JSONFromString', () => {
+    assertParse(JSONFromString, [['{"a":1}', { a: 1 }], ['null', null]])
+    assertReject(JSONFromString, ['', '{a:1}', {}])
+    const T = jsonFromString(t.object({ a: t.number }))
+    assertValidationFailure(t.validate('{"a":"s"}', T), [
+      'Invalid value "s" supplied to : JSONFromString<{ a: number }>/a: number'
+    ])
+    assert.strictEqual(t.serialize({ a: 1 }, T), '{"a":1}')
+  })
+
+  it('should parse environment variables', () => {
+    const Env = t.object({
+      PORT: IntegerFromString,
+      DEBUG: t.withDefault(BooleanFromString, false),
+      HOSTS: ArrayFromCommaList,
+      LIMITS: t.mapping(t.string, NumberFromString)
+    })
+    assert.deepEqual(t.fromValidation({ PORT: '8080', HOSTS: 'a,b', LIMITS: { x: '1' } }, Env), {
+      PORT: 8080,
+      DEBUG: false,
+      HOSTS: ['a', 'b'],
+      LIMITS: { x: 1 }
+    })
+    assert.deepEqual(t.serialize({ PORT: 8080, DEBUG: true, HOSTS: ['a'], LIMITS: { x: 1 } }, Env), {
+      PORT: '8080',
+      DEBUG: 'true',
+      HOSTS: 'a',
+      LIMITS: { x: '1' }
+    })
+    assert.deepEqual(t.fromValidation(['1', '2'], t.array(NumberFromString)), [1, 2])
+  })
+
+})
@@ -0,0 +1,127 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { compile, CompiledType } from '../src/compile'
+import { PathReporter } from '../src/reporters/default'
+import { assertValidationFailure, assertValidationSuccess, number2 } from './helpers'
+
+function assertSameValidation(value: mixed, type: t.Type<any>, options?: t.ValidationOptions) {
+  const expected = t.validate(value, type, options)
+  const actual = t.validate(value, compile(type), options)
+  assert.strictEqual(t.isSuccess(actual), t.isSuccess(expected))
+  if (t.isSuccess(expected)) {
+    assert.deepEqual(t.fromSuccess(actual), t.fromSuccess(expected))
+  }
+  else {
+    assert.deepEqual(PathReporter.report(actual), PathReporter.report(expected))
+  }
+}
+
+describe('compile', () => {
+
+  const Person = t.object({
+    name: t.string,
+    age: t.refinement(t.number, n => n >= 0, 'Age', { message: 'must be positive' }),
+    tags: t.array(t.string),
+    point: t.tuple([t.number, t.number]),
+    nickname: t.maybe(t.string),
+    email: t.optional(t.string),
+    role: t.withDefault(t.union([t.literal('user'), t.literal('admin')]), 'user')
+  })
+
+  it('should return a CompiledType', () => {
+    const T = compile(Person)
+    assert.ok(T instanceof CompiledType)
+    assert.strictEqual(T.name, Person.name)
+    assert.strictEqual(T.type, Person)
+    assert.strictEqual(T.serialize, Person.serialize)
+  })
+
+  it('should succeed validating a valid value', () => {
+    const T = compile(Person)
+    const value = { name: 'Giulio', age: 43, tags: ['a'], point: [1, 2], nickname: null, role: 'admin' }
+    assertValidationSuccess(t.validate(value, T))
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+    assert.deepEqual(t.fromSuccess(t.validate({ name: 'Giulio', age: 43, tags: [], point: [1, 2] }, T)), {
+      name: 'Giulio',
+      age: 43,
+      tags: [],
+      point: [1, 2],
+      role: 'user'
+    })
+  })
+
+  it('should return the same errors of the type', () => {
+    assertSameValidation(1, Person)
+    assertSameValidation({}, Person)
+    assertSameValidation({ name: 1, age: -1, tags: [1, 's', 2], point: [1], nickname: 1, email: null, role: 'root' }, Person)
+    assertSameValidation([1, 'a'], t.tuple([t.string, t.number]))
+    assertSameValidation(['a', 1, 'b'], t.array(t.union([t.string, t.boolean])))
+    assertSameValidation({ a: 1, b: 2 }, t.$exact({ a: t.string }))
+    assertSameValidation({ a: 's', b: 2, c: 3 }, t.$exact({ a: t.string }))
+    assertSameValidation({ a: { b: 1 } }, t.object({ a: t.intersection([t.object({ b: t.string }), t.object({ c: t.number })]) }))
+    assertSameValidation({ a: 'b' }, t.literal('a'))
+    assertSameValidation(['a', 'c', 'toString', 1], t.array(t.enums(['a', 'b'])))
+    assertSameValidation(null, t.Object)
+    assertSameValidation(1, t.Function)
+  })
+
+  it('should return the same error contexts of the type', () => {
+    const T = t.object({ a: t.array(t.string) })
+    const expected = t.fromFailure(t.validate({ a: [1] }, T))
+    const actual = t.fromFailure(t.validate({ a: [1] }, compile(T)))
+    assert.deepEqual(actual.map(e => e.context.map(c => c.key)), expected.map(e => e.context.map(c => c.key)))
+    // the root entry holds the compiled type
+    actual[0].context.slice(1).forEach((entry, i) => assert.strictEqual(entry.type, expected[0].context[i + 1].type))
+  })
+
+  it('should return the same reference if the value is not changed', () => {
+    const T = compile(t.object({ a: t.array(t.string), b: t.tuple([t.number]) }))
+    const value = { a: ['s'], b: [1] }
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+  })
+
+  it('should return a new value if a child is changed', () => {
+    const T = compile(t.object({ a: t.array(number2), b: t.tuple([number2, t.string]), c: t.string }))
+    const value = { a: [1, 2], b: [3, 's'], c: 'c' }
+    const validation = t.validate(value, T)
+    assert.deepEqual(t.fromSuccess(validation), { a: [2, 4], b: [6, 's'], c: 'c' })
+    assert.deepEqual(value, { a: [1, 2], b: [3, 's'], c: 'c' })
+  })
+
+  it('should fall back to validate for recursive and custom types', () => {
+    const Category = t.recursion('Category', self => t.object({
+      name: t.string,
+      categories: t.array(self)
+    }))
+    const T = compile(t.array(Category))
+    assertValidationSuccess(t.validate([{ name: 'a', categories: [{ name: 'b', categories: [] }] }], T))
+    assertSameValidation([{ name: 'a', categories: [{ name: 1, categories: [] }] }], t.array(Category))
+    assertSameValidation({ a: 's' }, t.object({ a: number2 }))
+  })
+
+  it('should respect maxErrors', () => {
+    const T = t.array(t.object({ a: t.string, b: t.string }))
+    const value = [{ a: 1, b: 2 }, { a: 3, b: 4 }]
+    assertValidationFailure(t.validate(value, compile(T), { maxErrors: 1 }), [
+      'Invalid value 1 supplied to : Array<{ a: string, b: string }>/0: { a: string, b: string }/a: string'
+    ])
+    assertSameValidation(value, T, { maxErrors: 3 })
+    assert.strictEqual(t.is(value, compile(T)), false)
+  })
+
+  it('should be usable as a member of another type', () => {
+    const T = t.union([compile(t.object({ a: t.string })), t.number])
+    assertValidationSuccess(t.validate({ a: 's' }, T))
+    assertValidationFailure(t.validate({ a: 1 }, T), [
+      'Invalid value {"a":1} supplied to : ({ a: string } | number)',
+      '  Invalid value 1 supplied to : ({ a: string } | number)/0: { a: string }/a: string',
+      '  Invalid value {"a":1} supplied to : ({ a: string } | number)/1: number'
+    ])
+  })
+
+})
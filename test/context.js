@@ -0,0 +1,73 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void | Promise<void>) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { Type } from '../src/index'
+import { compile } from '../src/compile'
+import { arrayFromCommaList } from '../src/coercions'
+
+function getKeys(error: t.ValidationError): Array<string> {
+  return error.context.map(({ key }) => key)
+}
+
+describe('context', () => {
+
+  it('should pass the context as an array to the children', () => {
+    const contexts = []
+    const Spy: Type<mixed> = new Type(
+      'Spy',
+      (v, c) => {
+        contexts.push(c.map(({ key }) => key))
+        return t.success(v)
+      }
+    )
+    t.validate({ a: [1, 2] }, t.object({ a: t.array(Spy) }))
+    assert.deepEqual(contexts, [['', 'a', '0'], ['', 'a', '1']])
+  })
+
+  it('should not share the context between the errors', () => {
+    const T = t.object({ a: t.array(t.string), b: t.mapping(t.string, t.number), c: t.tuple([t.string]) })
+    const errors = t.fromFailure(t.validate({ a: [1, 2], b: { x: 's' }, c: [1] }, T))
+    assert.deepEqual(errors.map(getKeys), [
+      ['', 'a', '0'],
+      ['', 'a', '1'],
+      ['', 'b', 'x'],
+      ['', 'c', '0']
+    ])
+  })
+
+  it('should keep the context held by the errors of a custom type', () => {
+    const Custom: Type<mixed> = new Type(
+      'Custom',
+      (v, c) => t.failures([{ value: v, context: c }])
+    )
+    const T = t.object({ a: Custom, b: t.object({ c: Custom }), d: arrayFromCommaList(Custom) })
+    const expected = [['', 'a'], ['', 'b', 'c'], ['', 'd', '0']]
+    assert.deepEqual(t.fromFailure(t.validate({ a: 1, b: { c: 1 }, d: 'x' }, T)).map(getKeys), expected)
+    assert.deepEqual(t.fromFailure(t.validate({ a: 1, b: { c: 1 }, d: 'x' }, compile(T))).map(getKeys), expected)
+  })
+
+  it('should restore the context if a child throws', () => {
+    const Throw: Type<mixed> = new Type(
+      'Throw',
+      () => {
+        throw new Error('boom')
+      }
+    )
+    const T = t.object({ a: t.array(Throw) })
+    const context = t.getDefaultContext(T)
+    assert.throws(() => T.validate({ a: [1] }, context))
+    assert.deepEqual(context.map(({ key }) => key), [''])
+  })
+
+  it('should keep the context of the async errors', () => {
+    const T = t.array(t.asyncRefinement(t.string, () => new Promise(resolve => resolve(false))))
+    return t.validateAsync(['a', 'b'], T).then(validation => {
+      assert.deepEqual(t.fromFailure(validation).map(getKeys), [['', '0'], ['', '1']])
+    })
+  })
+
+})
@@ -0,0 +1,109 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { compile } from '../src/compile'
+import { ErrorTreeReporter, getFieldPath } from '../src/reporters/default'
+
+describe('ErrorTreeReporter', () => {
+
+  const Person = t.object({
+    name: t.string,
+    address: t.object({
+      city: t.string,
+      zip: t.refinement(t.string, s => s.length === 5, 'Zip', { message: 'must have 5 digits' })
+    }),
+    tags: t.array(t.string)
+  })
+
+  it('should return an empty object if the validation succeeded', () => {
+    assert.deepEqual(ErrorTreeReporter.report(t.validate('a', t.string)), {})
+  })
+
+  it('should key the messages by field path', () => {
+    const validation = t.validate({ name: 'Giulio', address: { city: 1, zip: '123' }, tags: ['a', 'b', 1] }, Person)
+    assert.deepEqual(ErrorTreeReporter.report(validation), {
+      address: {
+        city: ['Invalid value 1 supplied to string'],
+        zip: ['must have 5 digits']
+      },
+      tags: {
+        '2': ['Invalid value 1 supplied to string']
+      }
+    })
+  })
+
+  it('should report the errors of the root under _errors', () => {
+    assert.deepEqual(ErrorTreeReporter.report(t.validate(1, Person)), {
+      _errors: ['Invalid value 1 supplied to { name: string, address: { city: string, zip: Zip }, tags: Array<string> }']
+    })
+  })
+
+  it('should skip the members of unions and intersections', () => {
+    const T = t.object({
+      a: t.intersection([t.object({ b: t.string }), t.object({ c: t.number })]),
+      d: t.maybe(t.taggedUnion('type', [
+        t.object({ type: t.literal('e'), e: t.string }),
+        t.object({ type: t.literal('f'), f: t.number })
+      ])),
+      g: t.union([t.string, t.number])
+    })
+    const validation = t.validate({ a: { b: 1, c: 2 }, d: { type: 'f', f: 's' }, g: true }, T)
+    assert.deepEqual(ErrorTreeReporter.report(validation), {
+      a: { b: ['Invalid value 1 supplied to string'] },
+      d: { f: ['Invalid value "s" supplied to number'] },
+      g: ['Invalid value true supplied to (string | number)']
+    })
+    assert.deepEqual(ErrorTreeReporter.report(t.validate({ a: { b: 's', c: 1 }, d: { type: 'zzz' }, g: 1 }, T)), {
+      d: { type: ['Invalid value "zzz" supplied to ("e" | "f")'] }
+    })
+  })
+
+  it('should keep the messages of a node with children', () => {
+    const Passwords = t.refinement(t.object({ a: t.string, b: t.string }), o => o.a === o.b, 'Passwords', { message: 'must match' })
+    const T = t.intersection([Passwords, t.object({ c: t.string })])
+    assert.deepEqual(ErrorTreeReporter.report(t.validate({ a: 'x', b: 'y', c: 1 }, T)), {
+      _errors: ['must match'],
+      c: ['Invalid value 1 supplied to string']
+    })
+    assert.deepEqual(ErrorTreeReporter.report(t.validate({ p: { a: 'x', b: 'y', c: 1 } }, t.object({ p: T }))), {
+      p: {
+        _errors: ['must match'],
+        c: ['Invalid value 1 supplied to string']
+      }
+    })
+  })
+
+  it('should key the messages by the props of Object.prototype', () => {
+    const T = t.mapping(t.string, t.number)
+    const tree: Object = ErrorTreeReporter.report(t.validate(JSON.parse('{"__proto__":"x","constructor":"y","toString":"z"}'), T))
+    assert.deepEqual(Object.keys(tree), ['__proto__', 'constructor', 'toString'])
+    assert.deepEqual((Object.getOwnPropertyDescriptor(tree, '__proto__') || {}).value, ['Invalid value "x" supplied to number'])
+    assert.deepEqual(tree.constructor, ['Invalid value "y" supplied to number'])
+    assert.deepEqual(tree.toString, ['Invalid value "z" supplied to number'])
+    assert.strictEqual(Object.getPrototypeOf(tree), Object.prototype)
+    assert.strictEqual(({}: Object)._errors, undefined)
+    assert.strictEqual((Object: any)._errors, undefined)
+    assert.ok(t.is({ a: 1 }, t.object({ a: t.number })))
+  })
+
+  it('should nest the messages under the props of Object.prototype', () => {
+    const T = t.object({ constructor: t.object({ a: t.string }), toString: t.array(t.string) })
+    const tree: Object = ErrorTreeReporter.report(t.validate({ constructor: { a: 1 }, toString: [1] }, T))
+    assert.deepEqual(tree.constructor, { a: ['Invalid value 1 supplied to string'] })
+    assert.deepEqual(tree.toString, { '0': ['Invalid value 1 supplied to string'] })
+    assert.strictEqual((Object.prototype.toString: any)['0'], undefined)
+  })
+
+  it('should return the field path of a context', () => {
+    const T = t.object({ a: t.array(t.union([t.string, t.object({ b: t.number })])) })
+    const errors = t.fromFailure(t.validate({ a: [{ b: 's' }] }, T))[0].errors || []
+    assert.deepEqual(getFieldPath(errors[1].context), ['a', '0', 'b'])
+    const compiledErrors = t.fromFailure(t.validate({ a: [{ b: 's' }] }, compile(T)))[0].errors || []
+    assert.deepEqual(getFieldPath(compiledErrors[1].context), ['a', '0', 'b'])
+  })
+
+})
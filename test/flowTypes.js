@@ -0,0 +1,99 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { number2 } from './helpers'
+import { printFlowType, printFlowDeclarations } from '../src/flowTypes'
+
+class A {}
+
+describe('printFlowType', () => {
+
+  it('should handle irreducibles, literals and classes', () => {
+    assert.strictEqual(printFlowType(t.string), 'string')
+    assert.strictEqual(printFlowType(t.null), 'null')
+    assert.strictEqual(printFlowType(t.void), 'void')
+    assert.strictEqual(printFlowType(t.nil), 'null | void')
+    assert.strictEqual(printFlowType(t.array(t.union([t.string, t.nil]))), 'Array<string | (null | void)>')
+    assert.strictEqual(printFlowType(t.Function), 'Function')
+    assert.strictEqual(printFlowType(t.literal('a')), '"a"')
+    assert.strictEqual(printFlowType(t.keyof({ a: 1, b: 2 })), '"a" | "b"')
+    assert.strictEqual(printFlowType(t.array(t.enums(['a', 'b']))), 'Array<"a" | "b">')
+    assert.strictEqual(printFlowType(t.maybe(t.enums(['a', 'b']))), '?("a" | "b")')
+    assert.strictEqual(printFlowType(t.instanceOf(A)), 'A')
+    assert.strictEqual(printFlowType(t.classOf(A)), 'Class<A>')
+  })
+
+  it('should handle objects', () => {
+    assert.strictEqual(printFlowType(t.object({ name: t.string, age: t.number })), '{ name: string, age: number }')
+    assert.strictEqual(printFlowType(t.$exact({ a: t.optional(t.number), 'b-c': t.string })), '$Exact<{ a?: number, "b-c": string }>')
+    assert.strictEqual(printFlowType(t.partial({ a: t.number })), '{ a?: number }')
+    assert.strictEqual(printFlowType(t.mapping(t.string, t.number)), '{ [key: string]: number }')
+  })
+
+  it('should handle arrays, tuples, maybes, unions and intersections', () => {
+    assert.strictEqual(printFlowType(t.array(t.union([t.string, t.number]))), 'Array<string | number>')
+    assert.strictEqual(printFlowType(t.tuple([t.string, t.maybe(t.number)])), '[string, ?number]')
+    assert.strictEqual(printFlowType(t.maybe(t.union([t.string, t.number]))), '?(string | number)')
+    assert.strictEqual(printFlowType(t.union([t.maybe(t.string), t.intersection([t.object({ a: t.number }), t.object({ b: t.number })])])), '(?string) | ({ a: number } & { b: number })')
+  })
+
+  it('should print the static type of refinements and defaults', () => {
+    assert.strictEqual(printFlowType(t.refinement(t.number, n => n >= 0)), 'number')
+    assert.strictEqual(printFlowType(t.object({ a: t.withDefault(t.number, 0) })), '{ a: number }')
+  })
+
+  it('should reference the recursive types by name', () => {
+    const T = t.recursion('T', self => t.object({
+      a: t.number,
+      b: t.maybe(self)
+    }))
+    assert.strictEqual(printFlowType(T), '{ a: number, b: ?T }')
+  })
+
+  it('should throw with custom types', () => {
+    assert.throws(() => {
+      printFlowType(t.object({ a: number2 }))
+    }, /Cannot print the Flow type of number2, provide a fallback/)
+    assert.strictEqual(printFlowType(t.object({ a: number2 }), { fallback: () => 'number' }), '{ a: number }')
+  })
+
+})
+
+describe('printFlowDeclarations', () => {
+
+  it('should print a type alias for each type', () => {
+    const Person = t.object({ name: t.string, age: t.number })
+    const Tree = t.recursion('Tree', self => t.object({
+      value: t.number,
+      children: t.array(self)
+    }))
+    const Forest = t.array(Tree)
+    assert.strictEqual(printFlowDeclarations({ Person, Forest, Root: Tree }), [
+      '// @flow',
+      '',
+      'export type Tree = { value: number, children: Array<Tree> };',
+      'export type Person = { name: string, age: number };',
+      'export type Forest = Array<Tree>;',
+      'export type Root = Tree;',
+      ''
+    ].join('\n'))
+  })
+
+  it('should declare a recursive type once', () => {
+    const Tree = t.recursion('Tree', self => t.object({
+      value: t.number,
+      children: t.array(self)
+    }))
+    assert.strictEqual(printFlowDeclarations({ Tree }), [
+      '// @flow',
+      '',
+      'export type Tree = { value: number, children: Array<Tree> };',
+      ''
+    ].join('\n'))
+  })
+
+})
@@ -17,5 +17,7 @@ export function assertValidationFailure<T>(validation: Validation<T>, descriptio
 
 export const number2: Type<number> = new Type(
   'number2',
-  (v, c) => t.map(n => n * 2, t.number.validate(v, c))
+  (v, c) => t.map(n => n * 2, t.number.validate(v, c)),
+  n => n / 2,
+  t.number.is
 )
@@ -38,4 +38,10 @@ describe('intersection', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.intersection([t.object({ a: number2 }), t.object({ b: number2 })])
+    const value: { a: number } & { b: number } = { a: 2, b: 4 }
+    assert.deepEqual(t.serialize(value, T), { a: 1, b: 2 })
+  })
+
 })
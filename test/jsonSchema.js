@@ -0,0 +1,346 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { assertValidationFailure, assertValidationSuccess } from './helpers'
+import { toJSONSchema, fromJSONSchema, DRAFT_07 } from '../src/jsonSchema'
+import { printFlowType, printFlowDeclarations } from '../src/flowTypes'
+
+describe('toJSONSchema', () => {
+
+  it('should handle irreducibles and literals', () => {
+    assert.deepEqual(toJSONSchema(t.string), { $schema: DRAFT_07, type: 'string' })
+    assert.deepEqual(toJSONSchema(t.number), { $schema: DRAFT_07, type: 'number' })
+    assert.deepEqual(toJSONSchema(t.boolean), { $schema: DRAFT_07, type: 'boolean' })
+    assert.deepEqual(toJSONSchema(t.null), { $schema: DRAFT_07, type: 'null' })
+    assert.deepEqual(toJSONSchema(t.any), { $schema: DRAFT_07 })
+    assert.deepEqual(toJSONSchema(t.Object), { $schema: DRAFT_07, type: 'object' })
+    assert.deepEqual(toJSONSchema(t.literal('a')), { $schema: DRAFT_07, const: 'a' })
+    assert.deepEqual(toJSONSchema(t.enums(['a', 'b'])), { $schema: DRAFT_07, enum: ['a', 'b'] })
+  })
+
+  it('should handle objects', () => {
+    const T = t.object({
+      a: t.string,
+      b: t.optional(t.number),
+      c: t.maybe(t.number),
+      d: t.withDefault(t.boolean, true)
+    })
+    assert.deepEqual(toJSONSchema(T), {
+      $schema: DRAFT_07,
+      type: 'object',
+      properties: {
+        a: { type: 'string' },
+        b: { type: 'number' },
+        c: { anyOf: [{ type: 'number' }, { type: 'null' }] },
+        d: { type: 'boolean', default: true }
+      },
+      required: ['a']
+    })
+  })
+
+  it('should handle $exact', () => {
+    assert.deepEqual(toJSONSchema(t.$exact({ a: t.string })), {
+      $schema: DRAFT_07,
+      type: 'object',
+      properties: {
+        a: { type: 'string' }
+      },
+      required: ['a'],
+      additionalProperties: false
+    })
+  })
+
+  it('should handle arrays and tuples', () => {
+    assert.deepEqual(toJSONSchema(t.array(t.string)), {
+      $schema: DRAFT_07,
+      type: 'array',
+      items: { type: 'string' }
+    })
+    assert.deepEqual(toJSONSchema(t.tuple([t.string, t.number])), {
+      $schema: DRAFT_07,
+      type: 'array',
+      items: [{ type: 'string' }, { type: 'number' }],
+      minItems: 2
+    })
+  })
+
+  it('should handle unions and intersections', () => {
+    assert.deepEqual(toJSONSchema(t.union([t.string, t.number])), {
+      $schema: DRAFT_07,
+      anyOf: [{ type: 'string' }, { type: 'number' }]
+    })
+    assert.deepEqual(toJSONSchema(t.intersection([t.object({ a: t.string }), t.partial({ b: t.number })])), {
+      $schema: DRAFT_07,
+      allOf: [
+        { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+        { type: 'object', properties: { b: { type: 'number' } } }
+      ]
+    })
+  })
+
+  it('should handle mappings', () => {
+    assert.deepEqual(toJSONSchema(t.mapping(t.string, t.number)), {
+      $schema: DRAFT_07,
+      type: 'object',
+      additionalProperties: { type: 'number' }
+    })
+    assert.deepEqual(toJSONSchema(t.mapping(t.union([t.literal('a'), t.literal('b')]), t.number)), {
+      $schema: DRAFT_07,
+      type: 'object',
+      propertyNames: { anyOf: [{ const: 'a' }, { const: 'b' }] },
+      additionalProperties: { type: 'number' }
+    })
+  })
+
+  it('should handle recursive types', () => {
+    const T = t.recursion('T', self => t.object({
+      a: t.number,
+      b: t.maybe(self)
+    }))
+    const properties = {
+      a: { type: 'number' },
+      b: { anyOf: [{ $ref: '#/definitions/T' }, { type: 'null' }] }
+    }
+    assert.deepEqual(toJSONSchema(T), {
+      $schema: DRAFT_07,
+      type: 'object',
+      properties,
+      required: ['a'],
+      definitions: {
+        T: {
+          type: 'object',
+          properties,
+          required: ['a']
+        }
+      }
+    })
+  })
+
+  it('should throw with the types which can\'t be expressed', () => {
+    assert.throws(() => {
+      toJSONSchema(t.object({ a: t.refinement(t.number, n => n >= 0, 'Positive') }))
+    }, /Cannot convert Positive to JSON Schema, provide a fallback/)
+    assert.throws(() => {
+      toJSONSchema(t.Function)
+    }, /Cannot convert Function to JSON Schema/)
+  })
+
+  it('should use the fallback with the types which can\'t be expressed', () => {
+    const T = t.object({ a: t.refinement(t.number, n => n >= 0) })
+    assert.deepEqual(toJSONSchema(T, { fallback: () => ({}) }), {
+      $schema: DRAFT_07,
+      type: 'object',
+      properties: {
+        a: {}
+      },
+      required: ['a']
+    })
+  })
+
+})
+
+describe('fromJSONSchema', () => {
+
+  it('should handle primitives, constants and enums', () => {
+    assertValidationSuccess(t.validate('s', fromJSONSchema({ type: 'string' })))
+    assertValidationSuccess(t.validate(1, fromJSONSchema({ type: 'number' })))
+    assertValidationSuccess(t.validate(true, fromJSONSchema({ type: 'boolean' })))
+    assertValidationSuccess(t.validate(null, fromJSONSchema({ type: 'null' })))
+    assertValidationSuccess(t.validate(1, fromJSONSchema({ type: 'integer' })))
+    assertValidationFailure(t.validate(1.5, fromJSONSchema({ type: 'integer' })), [
+      'Invalid value 1.5 supplied to : Integer'
+    ])
+    assertValidationSuccess(t.validate({}, fromJSONSchema({})))
+    const Const = fromJSONSchema({ const: 'a' })
+    assert.ok(Const instanceof t.LiteralType)
+    assertValidationFailure(t.validate('b', Const), [
+      'Invalid value "b" supplied to : "a"'
+    ])
+    const Enum = fromJSONSchema({ enum: ['a', 'b'], title: 'AB' })
+    assert.ok(Enum instanceof t.KeyofType)
+    assertValidationSuccess(t.validate('b', Enum))
+    assertValidationFailure(t.validate('c', Enum), [
+      'Invalid value "c" supplied to : AB'
+    ])
+    const Mixed = fromJSONSchema({ enum: ['a', 1], title: 'A1' })
+    assertValidationFailure(t.validate('c', Mixed), [
+      'Invalid value "c" supplied to : A1',
+      '  Invalid value "c" supplied to : A1/0: "a"',
+      '  Invalid value "c" supplied to : A1/1: 1'
+    ])
+  })
+
+  it('should handle objects', () => {
+    const T = fromJSONSchema({
+      title: 'Person',
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'number' },
+        tags: { type: 'array', items: { type: 'string' }, default: [] }
+      },
+      required: ['name']
+    })
+    assert.ok(T instanceof t.ObjectType)
+    assert.deepEqual(t.fromSuccess(t.validate({ name: 'a', extra: 1 }, T)), { name: 'a', tags: [], extra: 1 })
+    assertValidationFailure(t.validate({ age: 's' }, T), [
+      'Invalid value undefined supplied to : Person/name: string',
+      'Invalid value "s" supplied to : Person/age: (number | void)'
+    ])
+  })
+
+  it('should not turn a nullable required key into an optional one', () => {
+    const T = fromJSONSchema({ type: 'object', properties: { a: { type: ['string', 'null'] } }, required: ['a'] })
+    assertValidationSuccess(t.validate({ a: null }, T))
+    assertValidationFailure(t.validate({}, T), [
+      'Invalid value undefined supplied to : { a: (string | null) }/a: (string | null)',
+      '  Invalid value undefined supplied to : { a: (string | null) }/a: (string | null)/0: string',
+      '  Invalid value undefined supplied to : { a: (string | null) }/a: (string | null)/1: null'
+    ])
+    assertValidationSuccess(t.validate({}, fromJSONSchema({ type: 'object', properties: { a: { type: ['string', 'null'] } } })))
+  })
+
+  it('should handle the keywords of strings and numbers', () => {
+    const T = fromJSONSchema({
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 3, pattern: '^[A-Z]' },
+        email: { type: 'string', format: 'email' },
+        id: { type: 'string', format: 'unknown' },
+        n: { type: 'integer', minimum: 0, exclusiveMaximum: 10 },
+        x: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+      },
+      required: ['name', 'email', 'id', 'n', 'x']
+    })
+    assertValidationSuccess(t.validate({ name: 'A', email: 'a@b.com', id: 'a', n: 0, x: 1 }, T))
+    assert.deepEqual(
+      [{ name: '' }, { name: 'Abcd' }, { name: 'a' }, { email: 'a' }, { n: -5 }, { n: 10 }, { n: 1.5 }, { x: 0 }, { x: 1.5 }]
+        .map(value => t.is(Object.assign({ name: 'A', email: 'a@b.com', id: 'a', n: 0, x: 1 }, value), T)),
+      [false, false, false, false, false, false, false, false, false]
+    )
+    assertValidationFailure(t.validate({ name: 'A', email: 'a@b.com', id: 'a', n: -5, x: 1 }, T), [
+      'Invalid value -5 supplied to : { name: Pattern</^[A-Z]/>, email: Email, id: string, n: ExclusiveMaximum<10>, x: Maximum<1> }/n: ExclusiveMaximum<10>'
+    ])
+  })
+
+  it('should round trip the keywords with toJSONSchema', () => {
+    const schema = {
+      $schema: DRAFT_07,
+      type: 'object',
+      properties: {
+        name: { type: 'string', format: 'email', minLength: 1, maxLength: 3, pattern: '^[A-Z]' },
+        n: { type: 'integer', minimum: 0, exclusiveMaximum: 10 },
+        x: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+      },
+      required: ['name', 'n', 'x']
+    }
+    assert.deepEqual(toJSONSchema(fromJSONSchema(schema)), schema)
+    assert.deepEqual(toJSONSchema(fromJSONSchema({ type: 'integer' })), { $schema: DRAFT_07, type: 'integer' })
+  })
+
+  it('should handle additionalProperties', () => {
+    const Exact = fromJSONSchema({ type: 'object', properties: { a: { type: 'string' } }, required: ['a'], additionalProperties: false })
+    assert.ok(Exact instanceof t.$ExactType)
+    assertValidationFailure(t.validate({ a: 's', b: 1 }, Exact), [
+      'Invalid value 1 supplied to : $Exact<{ a: string }>/b: nil'
+    ])
+    const Mapping = fromJSONSchema({ type: 'object', additionalProperties: { type: 'number' } })
+    assert.ok(Mapping instanceof t.MappingType)
+    assertValidationFailure(t.validate({ a: 's' }, Mapping), [
+      'Invalid value "s" supplied to : { [key: string]: number }/a: number'
+    ])
+  })
+
+  it('should handle arrays and tuples', () => {
+    const A = fromJSONSchema({ type: 'array', items: { type: 'number' } })
+    assert.ok(A instanceof t.ArrayType)
+    assertValidationSuccess(t.validate([1, 2], A))
+    const T = fromJSONSchema({ type: 'array', items: [{ type: 'string' }, { type: 'number' }] })
+    assert.ok(T instanceof t.TupleType)
+    assertValidationFailure(t.validate(['s'], T), [
+      'Invalid value undefined supplied to : [string, number]/1: number'
+    ])
+  })
+
+  it('should handle unions, maybes and intersections', () => {
+    const U = fromJSONSchema({ anyOf: [{ type: 'string' }, { type: 'number' }] })
+    assert.ok(U instanceof t.UnionType)
+    const M = fromJSONSchema({ anyOf: [{ type: 'string' }, { type: 'null' }] })
+    assert.ok(M instanceof t.MaybeType)
+    assertValidationSuccess(t.validate(null, M))
+    assert.ok(fromJSONSchema({ type: ['string', 'null'] }) instanceof t.MaybeType)
+    const I = fromJSONSchema({
+      allOf: [
+        { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+        { type: 'object', properties: { b: { type: 'number' } }, required: ['b'] }
+      ]
+    })
+    assert.ok(I instanceof t.IntersectionType)
+    assertValidationSuccess(t.validate({ a: 's', b: 1 }, I))
+  })
+
+  it('should resolve local references', () => {
+    const T = fromJSONSchema({
+      type: 'object',
+      properties: {
+        name: { $ref: '#/definitions/Name' },
+        friends: { type: 'array', items: { $ref: '#/definitions/Node' } }
+      },
+      required: ['name'],
+      definitions: {
+        Name: { type: 'string' },
+        Node: {
+          type: 'object',
+          properties: {
+            value: { type: 'number' },
+            next: { anyOf: [{ $ref: '#/definitions/Node' }, { type: 'null' }] }
+          },
+          required: ['value']
+        }
+      }
+    })
+    assert.strictEqual(t.string.name, 'string')
+    assertValidationSuccess(t.validate({ name: 'a', friends: [{ value: 1, next: { value: 2, next: null } }] }, T))
+    assertValidationFailure(t.validate({ name: 'a', friends: [{ value: 1, next: { value: 's' } }] }, T), [
+      'Invalid value "s" supplied to : { name: string, friends?: Array<Node> }/friends: (Array<Node> | void)/0: Node/next: ?Node/value: number'
+    ])
+  })
+
+  it('should name the references to the root schema Root', () => {
+    const T = fromJSONSchema({ type: 'object', properties: { a: { $ref: '#' } } })
+    assertValidationSuccess(t.validate({ a: { a: {} } }, T))
+    assertValidationFailure(t.validate({ a: { a: 1 } }, T), [
+      'Invalid value 1 supplied to : { a?: Root }/a: (Root | void)/a: (Root | void)'
+    ])
+    assert.strictEqual(printFlowType(T), '{ a?: { a?: Root } }')
+    assert.strictEqual(printFlowDeclarations({ Tree: T }), '// @flow\n\nexport type Root = { a?: Root };\nexport type Tree = { a?: Root };\n')
+  })
+
+  it('should round trip with toJSONSchema', () => {
+    const T = t.recursion('T', self => t.$exact({
+      a: t.number,
+      b: t.maybe(self),
+      c: t.optional(t.array(t.tuple([t.literal('x'), t.string])))
+    }))
+    const U = fromJSONSchema(toJSONSchema(T))
+    const value = { a: 1, b: { a: 2, c: [['x', 's']] } }
+    assertValidationSuccess(t.validate(value, U))
+    assertValidationFailure(t.validate({ a: 1, b: { a: 2, c: [['y', 's']] } }, U), [
+      'Invalid value "y" supplied to : $Exact<{ a: number, b: ?T, c?: Array<["x", string]> }>/b: ?T/c: (Array<["x", string]> | void)/0: ["x", string]/0: "x"'
+    ])
+  })
+
+  it('should throw with unsupported schemas', () => {
+    assert.throws(() => {
+      fromJSONSchema({ $ref: 'http://example.com/schema.json' })
+    }, /only local references are supported/)
+    assert.throws(() => {
+      fromJSONSchema({ type: 'date' })
+    }, /Unsupported type "date"/)
+  })
+
+})
@@ -0,0 +1,76 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess
+} from './helpers'
+
+describe('keyof', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.keyof({ a: 1, b: 2 })
+    assertValidationSuccess(t.validate('a', T))
+    assertValidationSuccess(t.validate('b', T))
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.keyof({ a: 1, b: 2 })
+    assertValidationFailure(t.validate('c', T), [
+      'Invalid value "c" supplied to : ("a" | "b")'
+    ])
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : ("a" | "b")'
+    ])
+  })
+
+  it('should not accept the inherited keys', () => {
+    const T = t.keyof({ a: 1 })
+    assert.strictEqual(t.is('toString', T), false)
+    assert.strictEqual(t.is('hasOwnProperty', T), false)
+  })
+
+  it('should expose the keys and the values', () => {
+    const keys = { a: 1, b: 2 }
+    const T = t.keyof(keys, 'AB')
+    assert.strictEqual(T.name, 'AB')
+    assert.strictEqual(T.keys, keys)
+    assert.deepEqual(T.values, ['a', 'b'])
+  })
+
+})
+
+describe('enums', () => {
+
+  it('should accept exactly the listed strings', () => {
+    const T = t.enums(['red', 'green'])
+    assert.ok(T instanceof t.KeyofType)
+    assertValidationSuccess(t.validate('red', T))
+    assertValidationFailure(t.validate('blue', T), [
+      'Invalid value "blue" supplied to : ("red" | "green")'
+    ])
+    assert.deepEqual(T.values, ['red', 'green'])
+  })
+
+  it('should accept the values named after the props of Object.prototype', () => {
+    const T = t.enums(['__proto__', 'toString', 'a'])
+    assert.deepEqual(T.values, ['__proto__', 'toString', 'a'])
+    assert.deepEqual(['__proto__', 'toString', 'a', 'hasOwnProperty'].map(v => t.is(v, T)), [true, true, true, false])
+  })
+
+  it('should keep the values in the given order', () => {
+    const T = t.enums(['10', '2', 'a'])
+    assert.deepEqual(T.values, ['10', '2', 'a'])
+    assert.strictEqual(T.name, '("10" | "2" | "a")')
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.enums(['red', 'green'])
+    assert.strictEqual(t.serialize('red', T), 'red')
+  })
+
+})
@@ -41,4 +41,9 @@ describe('mapping', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.mapping(t.refinement(t.string, s => s.length >= 2), number2)
+    assert.deepEqual(t.serialize({ aa: 2, bb: 4 }, T), { aa: 1, bb: 2 })
+  })
+
 })
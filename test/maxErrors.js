@@ -0,0 +1,68 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { assertValidationFailure, assertValidationSuccess } from './helpers'
+
+describe('maxErrors', () => {
+
+  it('should stop at the first error', () => {
+    let calls = 0
+    const Counted = t.refinement(t.number, () => {
+      calls++
+      return true
+    })
+    const T = t.array(t.object({ a: t.string, b: Counted }))
+    assertValidationFailure(t.validate([{ a: 1, b: 1 }, { a: 2, b: 2 }], T, { maxErrors: 1 }), [
+      'Invalid value 1 supplied to : Array<{ a: string, b: (number | <function0>) }>/0: { a: string, b: (number | <function0>) }/a: string'
+    ])
+    assert.strictEqual(calls, 0)
+  })
+
+  it('should stop after N errors', () => {
+    const T = t.tuple([t.string, t.string, t.string])
+    assertValidationFailure(t.validate([1, 2, 3], T, { maxErrors: 2 }), [
+      'Invalid value 1 supplied to : [string, string, string]/0: string',
+      'Invalid value 2 supplied to : [string, string, string]/1: string'
+    ])
+    const M = t.mapping(t.string, t.number)
+    assert.strictEqual(t.fromFailure(t.validate({ a: 'a', b: 'b', c: 'c' }, M, { maxErrors: 2 })).length, 2)
+    const I = t.intersection([t.object({ a: t.string }), t.object({ b: t.string })])
+    assert.strictEqual(t.fromFailure(t.validate({}, I, { maxErrors: 1 })).length, 1)
+    const E = t.$exact({ a: t.string })
+    assert.strictEqual(t.fromFailure(t.validate({ a: 's', b: 1, c: 2 }, E, { maxErrors: 1 })).length, 1)
+  })
+
+  it('should collect all the errors by default', () => {
+    const T = t.tuple([t.string, t.string, t.string])
+    assert.strictEqual(t.fromFailure(t.validate([1, 2, 3], T)).length, 3)
+    assert.strictEqual(t.fromFailure(t.validate([1, 2, 3], T, { maxErrors: 0 })).length, 3)
+  })
+
+  it('should not count the errors of the rejected union members', () => {
+    const T = t.union([t.object({ a: t.string, b: t.string }), t.object({ a: t.number })])
+    assertValidationSuccess(t.validate({ a: 1 }, T, { maxErrors: 1 }))
+    const A = t.array(T)
+    assert.strictEqual(t.fromFailure(t.validate([{ a: true }, { a: true }], A, { maxErrors: 1 })).length, 1)
+  })
+
+  it('should be used by validateWithContext', () => {
+    const T = t.array(t.string)
+    assert.strictEqual(t.fromFailure(t.validateWithContext([1, 2], t.getDefaultContext(T), T, { maxErrors: 1 })).length, 1)
+  })
+
+  it('should be used by is', () => {
+    let calls = 0
+    const Counted = t.refinement(t.number, () => {
+      calls++
+      return false
+    })
+    assert.strictEqual(t.is([1, 2, 3], t.array(Counted)), false)
+    assert.strictEqual(calls, 1)
+    assert.strictEqual(t.is([1, 2, 3], t.array(t.number)), true)
+  })
+
+})
@@ -5,7 +5,11 @@ declare var it: (title: string, f: () => void) => void;
 
 import * as t from '../src/index'
 import assert from 'assert'
-import { assertValidationFailure, assertValidationSuccess } from './helpers'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
 
 describe('maybe', () => {
 
@@ -29,4 +33,11 @@ describe('maybe', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.maybe(number2)
+    assert.strictEqual(t.serialize(2, T), 1)
+    assert.strictEqual(t.serialize(null, T), null)
+    assert.strictEqual(t.serialize(undefined, T), undefined)
+  })
+
 })
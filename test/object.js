@@ -53,4 +53,11 @@ describe('object', () => {
     assertValidationSuccess(t.validate({ a: 's', additional: 2 }, T))
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.object({ a: number2, b: t.string })
+    // additional props are preserved
+    const value: Object = { a: 2, b: 's', c: 3 }
+    assert.deepEqual(t.serialize(value, T), { a: 1, b: 's', c: 3 })
+  })
+
 })
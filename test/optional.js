@@ -0,0 +1,66 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+describe('optional', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.object({ a: t.string, b: t.optional(t.number) })
+    assertValidationSuccess(t.validate({ a: 's' }, T))
+    assertValidationSuccess(t.validate({ a: 's', b: undefined }, T))
+    assertValidationSuccess(t.validate({ a: 's', b: 1 }, T))
+  })
+
+  it('should return the same reference if validation succeeded and nothing changed', () => {
+    const T = t.object({ a: t.string, b: t.optional(t.number) })
+    const value = { a: 's' }
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+  })
+
+  it('should not add missing optional props', () => {
+    const T = t.object({ a: number2, b: t.optional(t.number) })
+    const value = t.fromSuccess(t.validate({ a: 1 }, T))
+    assert.deepEqual(value, { a: 2 })
+    assert.ok(!value.hasOwnProperty('b'))
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.object({ a: t.string, b: t.optional(t.number) })
+    assertValidationFailure(t.validate({ a: 's', b: null }, T), [
+      'Invalid value null supplied to : { a: string, b?: number }/b: (number | void)'
+    ])
+    assertValidationFailure(t.validate({ b: 1 }, T), [
+      'Invalid value undefined supplied to : { a: string, b?: number }/a: string'
+    ])
+  })
+
+  it('should check for additional props when used with $exact', () => {
+    const T = t.$exact({ a: t.optional(t.string) })
+    assertValidationSuccess(t.validate({}, T))
+    assertValidationFailure(t.validate({ b: 1 }, T), [
+      'Invalid value 1 supplied to : $Exact<{ a?: string }>/b: nil'
+    ])
+  })
+
+  it('should serialize a deserialized', () => {
+    const T: t.Type<{ a?: number }> = t.withStaticType(t.object({ a: t.optional(number2) }))
+    assert.deepEqual(t.serialize({ a: 2 }, T), { a: 1 })
+    assert.deepEqual(t.serialize({}, T), {})
+  })
+
+  it('should return the runtime type when the static type is stated', () => {
+    const T = t.object({ a: t.optional(t.string) })
+    const S: t.Type<{ a?: string }> = t.withStaticType(T)
+    assert.strictEqual(S, T)
+  })
+
+})
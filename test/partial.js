@@ -0,0 +1,51 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+describe('partial', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.partial({ a: t.number, b: t.string })
+    assertValidationSuccess(t.validate({}, T))
+    assertValidationSuccess(t.validate({ a: 1 }, T))
+    assertValidationSuccess(t.validate({ a: 1, b: 's' }, T))
+  })
+
+  it('should return the same reference if validation succeeded and nothing changed', () => {
+    const T = t.partial({ a: t.number })
+    const value = {}
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+  })
+
+  it('should return a new reference if validation succeeded and something changed', () => {
+    const T = t.partial({ a: number2 })
+    assert.deepEqual(t.fromSuccess(t.validate({ a: 1 }, T)), { a: 2 })
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.partial({ a: t.number })
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : { a?: number }'
+    ])
+    assertValidationFailure(t.validate({ a: 's' }, T), [
+      'Invalid value "s" supplied to : { a?: number }/a: (number | void)'
+    ])
+  })
+
+  it('should be an ObjectType with optional props', () => {
+    const T = t.partial({ a: t.number })
+    assert.ok(T instanceof t.ObjectType)
+    assert.ok(T.props.a instanceof t.OptionalType)
+    assert.strictEqual((T.props.a: any).type, t.number)
+  })
+
+})
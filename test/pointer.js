@@ -0,0 +1,63 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { PointerReporter, getJSONPointer, getDottedPath } from '../src/reporters/default'
+
+function getContext(value: mixed, type: t.Type<any>): t.Context {
+  return t.fromFailure(t.validate(value, type))[0].context
+}
+
+describe('PointerReporter', () => {
+
+  const Order = t.object({
+    items: t.array(t.object({ price: t.number })),
+    meta: t.mapping(t.string, t.number),
+    point: t.tuple([t.number, t.union([t.string, t.object({ z: t.number })])])
+  })
+
+  it('should return an empty array if the validation succeeded', () => {
+    assert.deepEqual(PointerReporter.report(t.validate('a', t.string)), [])
+  })
+
+  it('should report the location of each error', () => {
+    const validation = t.validate({ items: [{ price: 1 }, { price: 's' }], meta: { 'a/b': 's' }, point: [1, true] }, Order)
+    assert.deepEqual(PointerReporter.report(validation), [
+      { pointer: '/items/1/price', path: 'items[1].price', message: 'Invalid value "s" supplied to number' },
+      { pointer: '/meta/a~1b', path: 'meta["a/b"]', message: 'Invalid value "s" supplied to number' },
+      { pointer: '/point/1', path: 'point[1]', message: 'Invalid value true supplied to (string | { z: number })' }
+    ])
+  })
+
+  it('should return the JSON Pointer of a context', () => {
+    assert.strictEqual(getJSONPointer(getContext(1, t.string)), '')
+    assert.strictEqual(getJSONPointer(getContext({ 'a~b': { '': 1 } }, t.object({ 'a~b': t.object({ '': t.string }) }))), '/a~0b/')
+    // the members of a union don't add a token
+    const errors = t.fromFailure(t.validate([1, { z: 's' }], Order.props.point))[0].errors || []
+    assert.strictEqual(getJSONPointer(errors[1].context), '/1/z')
+  })
+
+  it('should keep the tag of a tagged union', () => {
+    const T = t.object({
+      action: t.taggedUnion('type', [
+        t.object({ type: t.literal('a'), a: t.number }),
+        t.object({ type: t.literal('b'), b: t.string })
+      ])
+    })
+    assert.deepEqual(PointerReporter.report(t.validate({ action: { type: 'zzz' } }, T)).map(({ pointer, path }) => ({ pointer, path })), [
+      { pointer: '/action/type', path: 'action.type' }
+    ])
+    assert.strictEqual(getJSONPointer(getContext({ action: { type: 'b', b: 1 } }, T)), '/action/b')
+  })
+
+  it('should return the dotted path of a context', () => {
+    assert.strictEqual(getDottedPath(getContext(1, t.string)), '')
+    assert.strictEqual(getDottedPath(getContext([{ 'a b': 1 }], t.array(t.object({ 'a b': t.string })))), '[0]["a b"]')
+    assert.strictEqual(getDottedPath(getContext({ '0': 1 }, t.object({ '0': t.string }))), '["0"]')
+    assert.strictEqual(getDottedPath(getContext({ a: { b: 1 } }, t.object({ a: t.object({ b: t.string }) }))), 'a.b')
+  })
+
+})
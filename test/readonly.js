@@ -0,0 +1,183 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+import { ErrorTreeReporter, PointerReporter } from '../src/reporters/default'
+import { compile } from '../src/compile'
+import { toJSONSchema } from '../src/jsonSchema'
+import { printFlowType } from '../src/flowTypes'
+
+describe('readonly', () => {
+
+  it('should succeed validating a valid value', () => {
+    assertValidationSuccess(t.validate({ a: 1 }, t.readonly(t.object({ a: t.number }))))
+    assertValidationSuccess(t.validate({ a: 1 }, t.readonly(t.$exact({ a: t.number }))))
+    assertValidationSuccess(t.validate(['a', 1], t.readonly(t.tuple([t.string, t.number]))))
+    assertValidationSuccess(t.validate({ a: 1 }, t.readonly(t.mapping(t.string, t.number))))
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.readonly(t.object({ a: t.number }))
+    assertValidationFailure(t.validate({ a: 's' }, T), [
+      'Invalid value "s" supplied to : $ReadOnly<{ a: number }>/a: number'
+    ])
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : $ReadOnly<{ a: number }>'
+    ])
+  })
+
+  it('should return the validated value of the type it wraps', () => {
+    const T = t.readonly(t.object({ a: number2 }))
+    const value = { a: 1 }
+    assert.deepEqual(t.fromValidation(value, T), { a: 2 })
+    assert.strictEqual(Object.isFrozen(t.fromValidation(value, T)), false)
+  })
+
+  it('should deeply freeze the validated value', () => {
+    const T = t.readonly(t.object({ a: t.object({ b: t.array(t.number) }) }), { freeze: true })
+    const value = t.fromValidation({ a: { b: [1] } }, T)
+    assert.ok(Object.isFrozen(value))
+    assert.ok(Object.isFrozen(value.a))
+    assert.ok(Object.isFrozen(value.a.b))
+    assert.throws(() => (value: any).a.b.push(2))
+    assert.strictEqual(T.freeze, true)
+  })
+
+  it('should freeze tuples and mappings', () => {
+    const value = t.fromValidation(['a', { b: 1 }], t.readonly(t.tuple([t.string, t.object({ b: t.number })]), { freeze: true }))
+    assert.ok(Object.isFrozen(value))
+    assert.ok(Object.isFrozen(value[1]))
+    assert.ok(Object.isFrozen(t.fromValidation({ a: 1 }, t.readonly(t.mapping(t.string, t.number), { freeze: true }))))
+  })
+
+  it('should not freeze the input', () => {
+    const input = { a: { b: [1] } }
+    const value = t.fromValidation(input, t.readonly(t.object({ a: t.object({ b: t.array(t.number) }) }), { freeze: true }))
+    assert.deepEqual(value, input)
+    assert.ok(Object.isFrozen(value.a.b))
+    assert.strictEqual(Object.isFrozen(input), false)
+    assert.strictEqual(Object.isFrozen(input.a), false)
+    assert.strictEqual(Object.isFrozen(input.a.b), false)
+  })
+
+  it('should not freeze the default values', () => {
+    const tags = []
+    const A = t.object({ tags: t.withDefault(t.array(t.string), tags) })
+    const T = t.readonly(A, { freeze: true })
+    assert.ok(Object.isFrozen(t.fromValidation({}, T).tags))
+    assert.strictEqual(Object.isFrozen(tags), false)
+    t.fromValidation({}, A).tags.push('a')
+  })
+
+  it('should freeze the children of a frozen value', () => {
+    const input = Object.freeze({ a: { b: 1 } })
+    const value = t.fromValidation(input, t.readonly(t.object({ a: t.object({ b: t.number }) }), { freeze: true }))
+    assert.ok(Object.isFrozen(value.a))
+    assert.strictEqual(Object.isFrozen(input.a), false)
+  })
+
+  it('should keep the objects that are not plain', () => {
+    const d = new Date(0)
+    const value = t.fromValidation({ d }, t.readonly(t.object({ d: t.instanceOf(Date) }), { freeze: true }))
+    assert.strictEqual(value.d, d)
+    assert.strictEqual(Object.isFrozen(d), false)
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.readonly(t.object({ a: number2 }), { freeze: true })
+    assert.deepEqual(t.serialize(t.fromValidation({ a: 1 }, T), T), { a: 1 })
+  })
+
+  it('should use the name', () => {
+    assert.strictEqual(t.readonly(t.object({ a: t.number }), {}, 'State').name, 'State')
+  })
+
+})
+
+describe('readonlyArray', () => {
+
+  it('should succeed validating a valid value', () => {
+    assertValidationSuccess(t.validate([], t.readonlyArray(t.number)))
+    assertValidationSuccess(t.validate([1, 2], t.readonlyArray(t.number)))
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.readonlyArray(t.number)
+    assertValidationFailure(t.validate([1, 's'], T), [
+      'Invalid value "s" supplied to : $ReadOnlyArray<number>/1: number'
+    ])
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : $ReadOnlyArray<number>'
+    ])
+  })
+
+  it('should deeply freeze the validated value', () => {
+    const T = t.readonlyArray(t.object({ a: number2 }), { freeze: true })
+    const value = t.fromValidation([{ a: 1 }], T)
+    assert.deepEqual(value, [{ a: 2 }])
+    assert.ok(Object.isFrozen(value))
+    assert.ok(Object.isFrozen(value[0]))
+    assert.strictEqual(Object.isFrozen(t.fromValidation([{ a: 1 }], t.readonlyArray(t.object({ a: t.number })))), false)
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.readonlyArray(number2, { freeze: true })
+    assert.deepEqual(t.serialize(t.fromValidation([1, 2], T), T), [1, 2])
+  })
+
+  it('should strip the additional props of the items', () => {
+    const T = t.strip({ as: t.readonlyArray(t.object({ a: t.number }), { freeze: true }) })
+    const value = t.fromValidation({ as: [{ a: 1, b: 2 }] }, T)
+    assert.deepEqual(value, { as: [{ a: 1 }] })
+    assert.ok(Object.isFrozen(value.as))
+  })
+
+})
+
+describe('readonly tools', () => {
+
+  const State = t.readonly(t.object({
+    todos: t.readonlyArray(t.readonly(t.object({ text: t.string }))),
+    filter: t.string
+  }), { freeze: true })
+
+  it('should report the paths of the items', () => {
+    const validation = t.validate({ todos: [{ text: 1 }], filter: 'all' }, State)
+    assert.deepEqual(ErrorTreeReporter.report(validation), {
+      todos: { '0': { text: ['Invalid value 1 supplied to string'] } }
+    })
+    assert.deepEqual(PointerReporter.report(validation).map(({ pointer, path }) => ({ pointer, path })), [
+      { pointer: '/todos/0/text', path: 'todos[0].text' }
+    ])
+  })
+
+  it('should be compiled', () => {
+    const T = compile(State)
+    assert.ok(Object.isFrozen(t.fromValidation({ todos: [{ text: 'a' }], filter: 'all' }, T).todos))
+    assert.ok(!t.is({ todos: [{ text: 1 }], filter: 'all' }, T))
+  })
+
+  it('should be converted to JSON Schema and Flow', () => {
+    const schema = toJSONSchema(t.readonlyArray(t.readonly(t.object({ text: t.string }))))
+    delete schema.$schema
+    assert.deepEqual(schema, {
+      type: 'array',
+      items: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+    })
+    assert.strictEqual(printFlowType(State), '$ReadOnly<{ todos: $ReadOnlyArray<$ReadOnly<{ text: string }>>, filter: string }>')
+  })
+
+  it('should print readonly tuples and arrays as they are', () => {
+    assert.strictEqual(printFlowType(t.readonly(t.tuple([t.string, t.number]))), '[string, number]')
+    assert.strictEqual(printFlowType(t.readonly(t.array(t.number))), 'Array<number>')
+  })
+
+})
@@ -5,7 +5,11 @@ declare var it: (title: string, f: () => void) => void;
 
 import * as t from '../src/index'
 import assert from 'assert'
-import { assertValidationFailure, assertValidationSuccess } from './helpers'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
 
 describe('recursion', () => {
 
@@ -43,4 +47,26 @@ describe('recursion', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.recursion('T', self => t.object({
+      a: number2,
+      b: t.maybe(self)
+    }))
+    const value: Object = { a: 2, b: { a: 4 } }
+    assert.deepEqual(t.serialize(value, T), { a: 1, b: { a: 2 } })
+  })
+
+  it('should expose the definition through the self reference', () => {
+    let Self
+    const T = t.recursion('T', self => {
+      Self = self
+      return t.object({
+        a: t.number,
+        b: t.maybe(self)
+      })
+    })
+    assert.ok(Self instanceof t.RecursiveType)
+    assert.strictEqual(Self && Self.type, T)
+  })
+
 })
@@ -5,7 +5,11 @@ declare var it: (title: string, f: () => void) => void;
 
 import * as t from '../src/index'
 import assert from 'assert'
-import { assertValidationFailure, assertValidationSuccess } from './helpers'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
 
 describe('refinement', () => {
 
@@ -28,4 +32,29 @@ describe('refinement', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.refinement(number2, n => n >= 0)
+    assert.strictEqual(t.serialize(2, T), 1)
+  })
+
+  it('should attach the message and the code to the failure', () => {
+    const Password = t.refinement(t.string, s => s.length >= 8, 'Password', {
+      message: 'must be at least 8 characters',
+      code: 'string.minLength'
+    })
+    const validation = t.validate('abc', Password)
+    assert.ok(t.isFailure(validation))
+    const error = t.fromFailure(validation)[0]
+    assert.strictEqual(error.message, 'must be at least 8 characters')
+    assert.strictEqual(error.code, 'string.minLength')
+    assert.deepEqual(Password.description, { message: 'must be at least 8 characters', code: 'string.minLength' })
+    assertValidationFailure(validation, [
+      'must be at least 8 characters (value "abc" supplied to : Password)'
+    ])
+    // the errors of the refined type are left untouched
+    assertValidationFailure(t.validate(1, Password), [
+      'Invalid value 1 supplied to : Password'
+    ])
+  })
+
 })
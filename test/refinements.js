@@ -0,0 +1,138 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import { assertValidationFailure } from './helpers'
+import { toJSONSchema, DRAFT_07 } from '../src/jsonSchema'
+import {
+  Integer,
+  PositiveNumber,
+  range,
+  minLength,
+  maxLength,
+  pattern,
+  Email,
+  UUID,
+  URL,
+  ISODateString,
+  nonEmptyArray,
+  uniqueItems
+} from '../src/refinements'
+
+function assertValid(type: t.Type<any>, values: Array<mixed>) {
+  values.forEach(v => assert.ok(t.is(v, type), JSON.stringify(v)))
+}
+
+function assertInvalid(type: t.Type<any>, values: Array<mixed>) {
+  values.forEach(v => assert.ok(!t.is(v, type), JSON.stringify(v)))
+}
+
+function getSchema(type: t.Type<any>): Object {
+  const schema = toJSONSchema(type)
+  delete schema.$schema
+  return schema
+}
+
+describe('refinements', () => {
+
+  it('Integer', () => {
+    assertValid(Integer, [0, -1, 1e3])
+    assertInvalid(Integer, [1.5, '1'])
+    assert.deepEqual(getSchema(Integer), { type: 'integer' })
+  })
+
+  it('PositiveNumber', () => {
+    assertValid(PositiveNumber, [0.1, 1])
+    assertInvalid(PositiveNumber, [0, -1])
+    assert.strictEqual(PositiveNumber.min, 0)
+    assert.deepEqual(getSchema(PositiveNumber), { type: 'number', exclusiveMinimum: 0 })
+  })
+
+  it('range', () => {
+    const T = range(1, 10)
+    assertValid(T, [1, 5.5, 10])
+    assertInvalid(T, [0, 11])
+    assert.strictEqual(T.name, 'Range<1, 10>')
+    assert.strictEqual(T.min, 1)
+    assert.strictEqual(T.max, 10)
+    assert.deepEqual(getSchema(T), { type: 'number', minimum: 1, maximum: 10 })
+  })
+
+  it('minLength / maxLength', () => {
+    const Min = minLength(2)
+    const Max = maxLength(2)
+    assertValid(Min, ['ab', 'abc'])
+    assertInvalid(Min, ['a', 1])
+    assertValid(Max, ['', 'ab'])
+    assertInvalid(Max, ['abc'])
+    assert.strictEqual(Min.min, 2)
+    assert.strictEqual(Max.max, 2)
+    assert.deepEqual(getSchema(Min), { type: 'string', minLength: 2 })
+    assert.deepEqual(getSchema(Max), { type: 'string', maxLength: 2 })
+  })
+
+  it('pattern', () => {
+    const T = pattern(/^[a-z]+$/)
+    assertValid(T, ['abc'])
+    assertInvalid(T, ['ABC', ''])
+    assert.strictEqual(T.regex.source, '^[a-z]+$')
+    assert.deepEqual(getSchema(T), { type: 'string', pattern: '^[a-z]+$' })
+    assert.deepEqual(getSchema(pattern(/^[a-z]+$/g)), { type: 'string', pattern: '^[a-z]+$' })
+    const G = pattern(/a/g)
+    assert.deepEqual(['a', 'a', 'a'].map(s => t.is(s, G)), [true, true, true])
+    assert.deepEqual(['a', 'a'].map(s => t.is(s, pattern(/a/y))), [true, true])
+    assert.throws(() => getSchema(pattern(/^[a-z]+$/i)), /Cannot convert Pattern<\/\^\[a-z\]\+\$\/i> to JSON Schema, provide a fallback/)
+    assert.deepEqual(toJSONSchema(pattern(/^[a-z]+$/i), { fallback: () => ({ type: 'string' }) }), { $schema: DRAFT_07, type: 'string' })
+  })
+
+  it('Email', () => {
+    assertValid(Email, ['a@b.com', 'first.last+tag@sub.example.org'])
+    assertInvalid(Email, ['', 'a', 'a@b', 'a b@c.com', 'a@b.com '])
+    assert.deepEqual(getSchema(Email), { type: 'string', format: 'email' })
+  })
+
+  it('UUID', () => {
+    assertValid(UUID, ['123e4567-e89b-12d3-a456-426655440000', '123E4567-E89B-12D3-A456-426655440000'])
+    assertInvalid(UUID, ['123e4567e89b12d3a456426655440000', '123e4567-e89b-12d3-a456-42665544000z'])
+    assert.deepEqual(getSchema(UUID), { type: 'string', format: 'uuid' })
+  })
+
+  it('URL', () => {
+    assertValid(URL, ['https://example.com', 'http://localhost:8080/a?b=c#d'])
+    assertInvalid(URL, ['example.com', '/path', 'https://', 'http://a b'])
+    assert.deepEqual(getSchema(URL), { type: 'string', format: 'uri' })
+  })
+
+  it('ISODateString', () => {
+    assertValid(ISODateString, ['2017-01-02T03:04:05Z', '2017-01-02T03:04:05.006+01:00'])
+    assertInvalid(ISODateString, ['2017-01-02', '2017-13-02T03:04:05Z', '2017-01-02T03:04:05'])
+    assert.deepEqual(getSchema(ISODateString), { type: 'string', format: 'date-time' })
+  })
+
+  it('nonEmptyArray', () => {
+    const T = nonEmptyArray(t.number)
+    assertValid(T, [[1]])
+    assertInvalid(T, [[], ['a']])
+    assert.strictEqual(T.min, 1)
+    assert.deepEqual(getSchema(T), { type: 'array', items: { type: 'number' }, minItems: 1 })
+  })
+
+  it('uniqueItems', () => {
+    const T = uniqueItems(t.string)
+    assertValid(T, [[], ['a', 'b']])
+    assertInvalid(T, [['a', 'a']])
+    assert.deepEqual(getSchema(T), { type: 'array', items: { type: 'string' }, uniqueItems: true })
+  })
+
+  it('should carry a code', () => {
+    assertValidationFailure(t.validate(1.5, Integer), [
+      'Invalid value 1.5 supplied to : Integer'
+    ])
+    assert.deepEqual(t.fromFailure(t.validate(1.5, Integer)).map(e => e.code), ['integer'])
+    assert.deepEqual(t.fromFailure(t.validate('a', Email)).map(e => e.code), ['email'])
+  })
+
+})
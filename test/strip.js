@@ -0,0 +1,100 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+describe('strip', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.strip({ a: t.string })
+    assertValidationSuccess(t.validate({ a: 's' }, T))
+    assertValidationSuccess(t.validate({ a: 's', b: 1 }, T))
+  })
+
+  it('should return the same reference if validation succeeded and nothing changed', () => {
+    const T = t.strip({ a: t.string })
+    const value = { a: 's' }
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+  })
+
+  it('should return a new reference if validation succeeded and something changed', () => {
+    const T = t.strip({ a: number2 })
+    assert.deepEqual(t.fromSuccess(t.validate({ a: 1 }, T)), { a: 2 })
+  })
+
+  it('should strip additional props', () => {
+    const T = t.strip({ a: number2, b: t.optional(t.string) })
+    const value = { a: 1, c: true }
+    assert.deepEqual(t.fromSuccess(t.validate(value, T)), { a: 2 })
+    assert.deepEqual(value, { a: 1, c: true })
+  })
+
+  it('should strip additional props of nested objects, arrays and intersections', () => {
+    const T = t.strip({
+      a: t.object({ b: t.string }),
+      c: t.array(t.object({ d: t.number })),
+      e: t.intersection([t.object({ f: t.number }), t.partial({ g: t.number })]),
+      h: t.maybe(t.object({ i: t.number }))
+    })
+    const value = {
+      a: { b: 's', x: 1 },
+      c: [{ d: 1, x: 1 }, { d: 2 }],
+      e: { f: 1, g: 2, x: 1 },
+      h: { i: 1, x: 1 },
+      x: 1
+    }
+    assert.deepEqual(t.fromSuccess(t.validate(value, T)), {
+      a: { b: 's' },
+      c: [{ d: 1 }, { d: 2 }],
+      e: { f: 1, g: 2 },
+      h: { i: 1 }
+    })
+  })
+
+  it('should strip additional props of recursive types', () => {
+    const Category = t.recursion('Category', self => t.object({
+      name: t.string,
+      categories: t.array(self)
+    }))
+    const T = t.strip({ category: Category })
+    const value = {
+      category: { name: 'a', x: 1, categories: [{ name: 'b', x: 1, categories: [{ name: 'c', x: 1, categories: [] }] }] }
+    }
+    assert.deepEqual(t.fromSuccess(t.validate(value, T)), {
+      category: { name: 'a', categories: [{ name: 'b', categories: [{ name: 'c', categories: [] }] }] }
+    })
+    assertValidationFailure(t.validate({ category: { name: 'a', categories: [{ name: 1, categories: [] }] } }, T), [
+      'Invalid value 1 supplied to : { category: Category }/category: Category/categories: Array<Category>/0: Category/name: string'
+    ])
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.strip({ a: t.string })
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : { a: string }'
+    ])
+    assertValidationFailure(t.validate({ b: 1 }, T), [
+      'Invalid value undefined supplied to : { a: string }/a: string'
+    ])
+  })
+
+  it('should be an ObjectType', () => {
+    const T = t.strip({ a: t.string })
+    assert.ok(T instanceof t.ObjectType)
+    assert.strictEqual(T.props.a, t.string)
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.strip({ a: number2 })
+    assert.deepEqual(t.serialize({ a: 2 }, T), { a: 1 })
+  })
+
+})
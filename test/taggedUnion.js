@@ -0,0 +1,93 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+const Add = t.object({ type: t.literal('add'), value: t.number })
+const Remove = t.$exact({ type: t.literal('remove'), id: t.string })
+
+describe('taggedUnion', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.taggedUnion('type', [Add, Remove])
+    assertValidationSuccess(t.validate({ type: 'add', value: 1 }, T))
+    assertValidationSuccess(t.validate({ type: 'remove', id: 'a' }, T))
+  })
+
+  it('should return the same reference if validation succeeded and nothing changed', () => {
+    const T = t.taggedUnion('type', [Add, Remove])
+    const value = { type: 'add', value: 1 }
+    assert.strictEqual(t.fromSuccess(t.validate(value, T)), value)
+  })
+
+  it('should return a new reference if validation succeeded and something changed', () => {
+    const T = t.taggedUnion('type', [t.object({ type: t.literal('add'), value: number2 }), Remove])
+    assert.deepEqual(t.fromSuccess(t.validate({ type: 'add', value: 1 }, T)), { type: 'add', value: 2 })
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.taggedUnion('type', [Add, Remove])
+    assertValidationFailure(t.validate(1, T), [
+      'Invalid value 1 supplied to : ({ type: "add", value: number } | $Exact<{ type: "remove", id: string }>)'
+    ])
+    assertValidationFailure(t.validate({ type: 'multiply' }, T), [
+      'Invalid value "multiply" supplied to : ({ type: "add", value: number } | $Exact<{ type: "remove", id: string }>)/type: ("add" | "remove")'
+    ])
+  })
+
+  it('should report the errors of the matching member only', () => {
+    const T = t.taggedUnion('type', [Add, Remove])
+    assertValidationFailure(t.validate({ type: 'remove', id: 1 }, T), [
+      'Invalid value 1 supplied to : ({ type: "add", value: number } | $Exact<{ type: "remove", id: string }>)/1: $Exact<{ type: "remove", id: string }>/id: string'
+    ])
+  })
+
+  it('should throw if a member has no literal tag', () => {
+    assert.throws(() => {
+      t.taggedUnion('type', [Add, t.object({ type: t.string })])
+    }, /Invalid member { type: string } supplied to taggedUnion: type must be a literal/)
+    assert.throws(() => {
+      t.taggedUnion('type', [Add, t.number])
+    })
+  })
+
+  it('should throw if two members share the same tag', () => {
+    assert.throws(() => {
+      t.taggedUnion('type', [Add, Add])
+    }, /Duplicate tag "add" supplied to taggedUnion/)
+  })
+
+  it('should expose the tag key and the tags', () => {
+    const T = t.taggedUnion('type', [Add, Remove])
+    assert.strictEqual(T.tagKey, 'type')
+    assert.strictEqual(T.tags.add, Add)
+    assert.strictEqual(T.tags.remove, Remove)
+    assert.deepEqual(T.types, [Add, Remove])
+  })
+
+  it('should handle the tags named after the props of Object.prototype', () => {
+    const A = t.object({ type: t.literal('hasOwnProperty'), a: t.number })
+    const B = t.object({ type: t.literal('__proto__'), b: number2 })
+    const T = t.taggedUnion('type', [A, B])
+    assertValidationSuccess(t.validate({ type: 'hasOwnProperty', a: 1 }, T))
+    assertValidationSuccess(t.validate({ type: '__proto__', b: 1 }, T))
+    assertValidationFailure(t.validate({ type: 'toString' }, T), [
+      'Invalid value "toString" supplied to : ({ type: "hasOwnProperty", a: number } | { type: "__proto__", b: number2 })/type: ("hasOwnProperty" | "__proto__")'
+    ])
+    assert.deepEqual(t.serialize({ type: '__proto__', b: 2 }, T), { type: '__proto__', b: 1 })
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.taggedUnion('type', [t.object({ type: t.literal('add'), value: number2 }), Remove])
+    assert.deepEqual(t.serialize({ type: 'add', value: 2 }, T), { type: 'add', value: 1 })
+  })
+
+})
@@ -45,4 +45,9 @@ describe('tuple', () => {
     ])
   })
 
+  it('should serialize a deserialized', () => {
+    const T = t.tuple([number2, t.string])
+    assert.deepEqual(t.serialize([2, 'a'], T), [1, 'a'])
+  })
+
 })
@@ -4,8 +4,14 @@ declare var describe: (title: string, f: () => void) => void;
 declare var it: (title: string, f: () => void) => void;
 
 import * as t from '../src/index'
+import { Type } from '../src/index'
 import assert from 'assert'
-import { assertValidationFailure, assertValidationSuccess } from './helpers'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+import { DateFromISOString, NumberFromString } from '../src/coercions'
 
 describe('union', () => {
 
@@ -24,8 +30,93 @@ describe('union', () => {
   it('should fail validating an invalid value', () => {
     const T = t.union([t.string, t.number])
     assertValidationFailure(t.validate(true, T), [
-      'Invalid value true supplied to : (string | number)'
+      'Invalid value true supplied to : (string | number)',
+      '  Invalid value true supplied to : (string | number)/0: string',
+      '  Invalid value true supplied to : (string | number)/1: number'
     ])
   })
 
+  it('should keep the errors of every member', () => {
+    const T = t.union([t.object({ a: t.string, b: t.number }), t.union([t.number, t.boolean])])
+    const validation = t.validate({}, T)
+    assert.ok(t.isFailure(validation))
+    const errors = t.fromFailure(validation)
+    assert.strictEqual(errors.length, 1)
+    const nested = errors[0].errors || []
+    assert.strictEqual(nested.length, 3)
+    assert.deepEqual(nested.map(e => e.context.map(({ key }) => key)), [
+      ['', '0', 'a'],
+      ['', '0', 'b'],
+      ['', '1']
+    ])
+    assertValidationFailure(validation, [
+      'Invalid value {} supplied to : ({ a: string, b: number } | (number | boolean))',
+      '  Invalid value undefined supplied to : ({ a: string, b: number } | (number | boolean))/0: { a: string, b: number }/a: string',
+      '  Invalid value undefined supplied to : ({ a: string, b: number } | (number | boolean))/0: { a: string, b: number }/b: number',
+      '  Invalid value {} supplied to : ({ a: string, b: number } | (number | boolean))/1: (number | boolean)',
+      '    Invalid value {} supplied to : ({ a: string, b: number } | (number | boolean))/1: (number | boolean)/0: number',
+      '    Invalid value {} supplied to : ({ a: string, b: number } | (number | boolean))/1: (number | boolean)/1: boolean'
+    ])
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.union([t.object({ a: number2 }), t.string])
+    assert.deepEqual(t.serialize({ a: 2 }, T), { a: 1 })
+    assert.strictEqual(t.serialize('s', T), 's')
+  })
+
+  it('should serialize with a coercing member', () => {
+    const T = t.union([DateFromISOString, t.null])
+    const date = new Date(Date.UTC(2017, 0, 2))
+    assert.strictEqual(t.serialize(t.fromValidation('2017-01-02', T), T), '2017-01-02T00:00:00.000Z')
+    assert.strictEqual(t.serialize(date, T), '2017-01-02T00:00:00.000Z')
+    assert.strictEqual(t.serialize(null, T), null)
+    const U = t.union([NumberFromString, t.array(NumberFromString), t.string])
+    assert.strictEqual(t.serialize(1, U), '1')
+    assert.deepEqual(t.serialize([1, 2], U), ['1', '2'])
+    assert.strictEqual(t.serialize('s', U), 's')
+  })
+
+  it('should serialize with a member holding an async refinement', () => {
+    const isFree = (id: string): Promise<boolean> => new Promise(resolve => resolve(id !== 'taken'))
+    const Id = t.asyncRefinement(t.string, isFree, 'Id')
+    const T = t.union([t.object({ id: Id, at: DateFromISOString }), t.string])
+    assert.deepEqual(t.serialize({ id: 'x', at: new Date(0) }, T), { id: 'x', at: '1970-01-01T00:00:00.000Z' })
+    assert.strictEqual(t.serialize('s', T), 's')
+  })
+
+  it('should not swallow the errors of a serializer', () => {
+    const Throw: Type<number> = new Type(
+      'Throw',
+      (v, c) => t.number.validate(v, c),
+      () => {
+        throw new Error('serialize')
+      },
+      t.number.is
+    )
+    const T = t.union([Throw, t.string])
+    assert.throws(() => t.serialize(1, T), /serialize/)
+    assert.strictEqual(t.serialize('s', T), 's')
+  })
+
+  it('should check the runtime representation of a value', () => {
+    const T = t.union([t.object({ a: DateFromISOString, b: t.maybe(number2) }), t.array(NumberFromString)])
+    assert.ok(T.is({ a: new Date(0) }))
+    assert.ok(T.is({ a: new Date(0), b: 1 }))
+    assert.ok(T.is([1, 2]))
+    assert.ok(!T.is({ a: '1970-01-01T00:00:00.000Z' }))
+    assert.ok(!T.is(['1', '2']))
+    assert.ok(!T.is(null))
+  })
+
+  it('should check the runtime representation with validate when a custom type has no guard', () => {
+    const Even: Type<number> = new Type(
+      'Even',
+      (v, c) => t.chain(n => n % 2 === 0 ? t.success(n) : t.failure(v, c), t.number.validate(v, c))
+    )
+    assert.ok(Even.is(2))
+    assert.ok(!Even.is(1))
+    assert.ok(!Even.is('2'))
+  })
+
 })
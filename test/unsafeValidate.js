@@ -5,6 +5,24 @@ declare var it: (title: string, f: () => void) => void;
 
 import assert from 'assert'
 import * as t from '../src/index'
+import { ThrowReporter } from '../src/reporters/default'
+
+function assertValidationFailedError(f: () => mixed, type: t.Type<any>, message: string) {
+  try {
+    f()
+  }
+  catch (e) {
+    assert.ok(e instanceof t.ValidationFailedError)
+    assert.ok(e instanceof Error)
+    assert.strictEqual(e.name, 'ValidationFailedError')
+    assert.strictEqual(e.message, message)
+    assert.strictEqual(e.type, type)
+    assert.deepEqual(e.errors.map(({ value }) => value), [1])
+    assert.strictEqual(typeof e.stack, 'string')
+    return
+  }
+  assert.ok(false, 'should throw')
+}
 
 describe('fromValidation', () => {
 
@@ -18,4 +36,26 @@ describe('fromValidation', () => {
     })
   })
 
+  it('should throw a ValidationFailedError', () => {
+    const T = t.object({ a: t.string })
+    assertValidationFailedError(() => t.fromValidation({ a: 1 }, T), T, 'Invalid value 1 supplied to : { a: string }/a: string')
+  })
+
+})
+
+describe('ThrowReporter', () => {
+
+  it('should not throw if validation succeeded', () => {
+    ThrowReporter.report(t.validate('a', t.string))
+  })
+
+  it('should throw a ValidationFailedError if validation failed', () => {
+    const T = t.union([t.string, t.boolean])
+    assertValidationFailedError(() => ThrowReporter.report(t.validate(1, T)), T, [
+      'Invalid value 1 supplied to : (string | boolean)',
+      '  Invalid value 1 supplied to : (string | boolean)/0: string',
+      '  Invalid value 1 supplied to : (string | boolean)/1: boolean'
+    ].join('\n'))
+  })
+
 })
@@ -0,0 +1,74 @@
+// @flow
+
+declare var describe: (title: string, f: () => void) => void;
+declare var it: (title: string, f: () => void) => void;
+
+import * as t from '../src/index'
+import assert from 'assert'
+import {
+  assertValidationFailure,
+  assertValidationSuccess,
+  number2
+} from './helpers'
+
+describe('withDefault', () => {
+
+  it('should succeed validating a valid value', () => {
+    const T = t.withDefault(t.number, 0)
+    assertValidationSuccess(t.validate(undefined, T))
+    assertValidationSuccess(t.validate(1, T))
+  })
+
+  it('should return the default value if the value is undefined', () => {
+    const T = t.withDefault(t.number, 0)
+    assert.strictEqual(t.fromSuccess(t.validate(undefined, T)), 0)
+    assert.strictEqual(t.fromSuccess(t.validate(1, T)), 1)
+  })
+
+  it('should call a factory in order to get the default value', () => {
+    const T = t.withDefault(t.array(t.number), () => [])
+    const a1 = t.fromSuccess(t.validate(undefined, T))
+    const a2 = t.fromSuccess(t.validate(undefined, T))
+    assert.deepEqual(a1, [])
+    assert.notStrictEqual(a1, a2)
+  })
+
+  it('should fill in the missing props of an object', () => {
+    const T = t.object({ a: t.string, b: t.withDefault(t.number, 0) })
+    const value = { a: 's' }
+    const validated = t.fromSuccess(t.validate(value, T))
+    assert.deepEqual(validated, { a: 's', b: 0 })
+    assert.notStrictEqual(validated, value)
+    assert.deepEqual(value, { a: 's' })
+  })
+
+  it('should fill in the missing props of a partial', () => {
+    const T = t.partial({ a: t.string, b: t.withDefault(t.number, 0) })
+    assert.deepEqual(t.fromSuccess(t.validate({}, T)), { b: 0 })
+  })
+
+  it('should fill in the missing components of a tuple', () => {
+    const T = t.tuple([t.string, t.withDefault(t.number, 0)])
+    assert.deepEqual(t.fromSuccess(t.validate(['s'], T)), ['s', 0])
+  })
+
+  it('should fail validating an invalid value', () => {
+    const T = t.object({ a: t.withDefault(t.number, 0) })
+    assertValidationFailure(t.validate({ a: 's' }, T), [
+      'Invalid value "s" supplied to : { a: number }/a: number'
+    ])
+  })
+
+  it('should expose the default value', () => {
+    const T = t.withDefault(t.number, 1)
+    assert.strictEqual(T.type, t.number)
+    assert.strictEqual(T.defaultValue, 1)
+    assert.strictEqual(t.getDefaultValue(T), 1)
+  })
+
+  it('should serialize a deserialized', () => {
+    const T = t.withDefault(number2, 0)
+    assert.strictEqual(t.serialize(2, T), 1)
+  })
+
+})